@@ -0,0 +1,281 @@
+/**
+ * Offline routing evaluation: replay a suite of prompts through routing
+ * policies and a provider that needs no network (the mock provider, or
+ * answers recorded as fixtures), and score what each policy did.
+ *
+ * A suite is JSONL, one case per line:
+ *
+ *   {"id": "translate", "prompt": "Translate 'good morning' into Spanish.",
+ *    "minTier": 1, "expected": "buenos días"}
+ *
+ * - prompt     the question (required)
+ * - minTier    the cheapest tier expected to answer it well
+ * - expected   text the answer must contain, or "/pattern/flags"
+ * - rubric     list of texts a good answer mentions; scores the fraction found
+ * - settings   slider values for this case ({ efficiency, speed, complexity })
+ *
+ * Quality per case is the mean of its checks, and 0 when the answer was
+ * truncated, refused or failed. minTier scores whether routing reached
+ * it; expected and rubric check the answer text, so they only run against
+ * fixtures (the mock provider's answers are filler). Quality doesn't
+ * penalize going above minTier, so over-routing is measured separately.
+ */
+
+import { selectModel } from '../src/routing.js'
+import { inferComplexity, extractPromptFeatures } from '../src/complexity.js'
+import { toApiMessages, getRequestLimits } from '../src/chat.js'
+import { getRequestNeeds } from '../src/history.js'
+import { getAttemptOutcome, buildAttempt } from '../src/cascade.js'
+import { MODEL_TIERS } from '../src/models.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Sliders for cases that don't set their own; complexity null means Auto
+export const DEFAULT_EVAL_SETTINGS = { efficiency: 3, speed: 3, complexity: null }
+
+// ============================================================================
+// SUITES
+// ============================================================================
+
+/**
+ * Problems with one suite case, as readable strings (empty when valid)
+ */
+function validateCase(testCase) {
+  const errors = []
+  if (!testCase || typeof testCase !== 'object') return ['must be an object']
+  if (typeof testCase.prompt !== 'string' || !testCase.prompt.trim()) errors.push('"prompt" must be a non-empty string')
+  if (testCase.minTier !== undefined &&
+    !(Number.isInteger(testCase.minTier) && testCase.minTier >= 1 && testCase.minTier <= MODEL_TIERS.length)) {
+    errors.push(`"minTier" must be a tier from 1 to ${MODEL_TIERS.length}`)
+  }
+  if (testCase.expected !== undefined && typeof testCase.expected !== 'string') errors.push('"expected" must be a string')
+  if (testCase.rubric !== undefined &&
+    !(Array.isArray(testCase.rubric) && testCase.rubric.every(item => typeof item === 'string'))) {
+    errors.push('"rubric" must be a list of strings')
+  }
+  for (const field of ['efficiency', 'speed', 'complexity']) {
+    const value = testCase.settings?.[field]
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+      errors.push(`"settings.${field}" must be a whole number from 1 to 5`)
+    }
+  }
+  return errors
+}
+
+/**
+ * Parse a JSONL suite into cases, each with an `id` (its line number if
+ * it has none). Throws an Error listing the problems if any line is invalid.
+ */
+export function parseSuite(text) {
+  const problems = []
+  const cases = text.split(/\r?\n/).map((line, idx) => ({ line, number: idx + 1 }))
+    .filter(({ line }) => line.trim() && !line.trimStart().startsWith('//'))
+    .map(({ line, number }) => {
+      let testCase
+      try {
+        testCase = JSON.parse(line)
+      } catch (err) {
+        problems.push(`Line ${number}: not valid JSON (${err.message})`)
+        return null
+      }
+      problems.push(...validateCase(testCase).map(error => `Line ${number}: ${error}`))
+      return { ...testCase, id: testCase.id ? String(testCase.id) : String(number) }
+    })
+
+  if (problems.length === 0 && cases.length === 0) problems.push('The suite has no cases')
+  if (problems.length > 0) throw new Error(problems.join('\n'))
+  return cases
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Whether `text` contains `expected`, a plain string (case-insensitive)
+ * or a "/pattern/flags" regular expression
+ */
+function matchesExpected(text, expected) {
+  const regex = expected.match(/^\/(.+)\/([a-z]*)$/)
+  if (regex) return new RegExp(regex[1], regex[2]).test(text)
+  return text.toLowerCase().includes(expected.toLowerCase())
+}
+
+/**
+ * Score one answer: { quality, checks } where checks maps each check run
+ * (minTier, expected, rubric) to its 0-1 score and quality is their mean,
+ * or null when the case has nothing to check. `checkText` turns the answer
+ * text checks on.
+ */
+export function gradeCase(testCase, { tier, outcome, text }, { checkText }) {
+  const checks = {}
+  if (testCase.minTier !== undefined) checks.minTier = tier >= testCase.minTier ? 1 : 0
+  if (checkText && testCase.expected !== undefined) checks.expected = matchesExpected(text, testCase.expected) ? 1 : 0
+  if (checkText && testCase.rubric?.length) {
+    const lower = text.toLowerCase()
+    checks.rubric = testCase.rubric.filter(item => lower.includes(item.toLowerCase())).length / testCase.rubric.length
+  }
+
+  const scores = Object.values(checks)
+  if (scores.length === 0) return { quality: null, checks }
+  if (outcome !== 'accepted') return { quality: 0, checks }
+  return { quality: scores.reduce((sum, score) => sum + score, 0) / scores.length, checks }
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+/**
+ * Route one case through `policy` the way the chat routes a new message
+ * with the given sliders (Auto complexity unless a complexity is set).
+ * Returns the selectModel() result.
+ */
+export function routeCase(testCase, policy, defaults = DEFAULT_EVAL_SETTINGS) {
+  const settings = { ...defaults, ...testCase.settings }
+  const complexity = settings.complexity ?? inferComplexity(testCase.prompt, []).complexity
+  const history = [{ text: testCase.prompt, isUser: true }]
+  return selectModel(policy, {
+    efficiency: settings.efficiency,
+    speed: settings.speed,
+    complexity,
+    budgetUsed: 0,
+    needs: getRequestNeeds(history, {}),
+    ...extractPromptFeatures(testCase.prompt, [])
+  })
+}
+
+/**
+ * Run every case of the suite through every policy and `provider` (an
+ * adapter with the complete() contract of src/providers). A provider
+ * failure, such as a missing fixture, is recorded on the case and scores 0.
+ *
+ * Returns [{ policy, results }], results being one per case:
+ * { id, prompt, minTier, tier, modelId, outcome, cost, energyWh, quality,
+ * checks, error }.
+ */
+export async function runEvaluation(cases, policies, provider, { settings, checkText = false } = {}) {
+  const runs = []
+  for (const policy of policies) {
+    const results = []
+    for (const testCase of cases) {
+      const route = routeCase(testCase, policy, settings)
+      const { reasoningEffort, maxTokens } = getRequestLimits(route.model, route.generation)
+      const base = {
+        id: testCase.id,
+        prompt: testCase.prompt,
+        minTier: testCase.minTier ?? null,
+        tier: route.model.tier,
+        modelId: route.model.id
+      }
+
+      try {
+        const result = await provider.complete(route.model, toApiMessages([{ text: testCase.prompt, isUser: true }], null), {
+          maxTokens,
+          reasoningEffort
+        })
+        const attempt = buildAttempt(route.model, result.usage, getAttemptOutcome(result))
+        const text = result.text || result.refusal || ''
+        results.push({
+          ...base,
+          outcome: attempt.outcome,
+          cost: attempt.cost,
+          energyWh: attempt.energyWh,
+          ...gradeCase(testCase, { tier: base.tier, outcome: attempt.outcome, text }, { checkText }),
+          error: null
+        })
+      } catch (err) {
+        results.push({
+          ...base,
+          outcome: 'failed',
+          cost: 0,
+          energyWh: 0,
+          ...gradeCase(testCase, { tier: base.tier, outcome: 'failed', text: '' }, { checkText }),
+          error: err.message
+        })
+      }
+    }
+    runs.push({ policy, results })
+  }
+  return runs
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Totals for one policy's results: { cases, tiers ({ [tier]: count }),
+ * cost, energyWh, quality (mean of the graded cases, or null), graded,
+ * underRouted and aboveMinimum (cases below / above their minTier),
+ * overRouting (tiers above minTier per case that has one, or null),
+ * failed (cases whose answer wasn't accepted) }
+ */
+export function summarizeRun(results) {
+  const tiers = Object.fromEntries(MODEL_TIERS.map((_, idx) => [idx + 1, 0]))
+  for (const result of results) tiers[result.tier]++
+
+  const graded = results.filter(r => r.quality !== null)
+  const withMinimum = results.filter(r => r.minTier !== null)
+  return {
+    cases: results.length,
+    tiers,
+    cost: results.reduce((sum, r) => sum + r.cost, 0),
+    energyWh: results.reduce((sum, r) => sum + r.energyWh, 0),
+    quality: graded.length > 0 ? graded.reduce((sum, r) => sum + r.quality, 0) / graded.length : null,
+    graded: graded.length,
+    underRouted: results.filter(r => r.minTier !== null && r.tier < r.minTier).length,
+    aboveMinimum: results.filter(r => r.minTier !== null && r.tier > r.minTier).length,
+    overRouting: withMinimum.length > 0
+      ? withMinimum.reduce((sum, r) => sum + Math.max(0, r.tier - r.minTier), 0) / withMinimum.length
+      : null,
+    failed: results.filter(r => r.outcome !== 'accepted').length
+  }
+}
+
+/**
+ * What to save as a baseline: per policy name, the summary and each
+ * case's tier
+ */
+export function toBaseline(runs, { suite, provider }) {
+  return {
+    suite,
+    provider,
+    policies: Object.fromEntries(runs.map(({ policy, results }) => [policy.name, {
+      summary: summarizeRun(results),
+      routes: Object.fromEntries(results.map(r => [r.id, r.tier]))
+    }]))
+  }
+}
+
+/**
+ * Compare runs with a saved baseline. Returns one entry per policy in
+ * both: { policy, quality, overRouting, cost, energyWh } as { before,
+ * after } pairs, `rerouted` ([{ id, from, to }] for cases that moved
+ * tier), `regressed` when quality fell by more than `tolerance`, and
+ * `overRouted` when more cases went above their minTier, or by more tiers.
+ */
+export function compareWithBaseline(runs, baseline, tolerance = 0) {
+  return runs.filter(({ policy }) => baseline.policies[policy.name]).map(({ policy, results }) => {
+    const before = baseline.policies[policy.name]
+    const after = summarizeRun(results)
+    const rerouted = results
+      .filter(r => before.routes[r.id] !== undefined && before.routes[r.id] !== r.tier)
+      .map(r => ({ id: r.id, from: before.routes[r.id], to: r.tier }))
+    const overRoutingBefore = before.summary.overRouting ?? null
+    return {
+      policy: policy.name,
+      quality: { before: before.summary.quality, after: after.quality },
+      overRouting: { before: overRoutingBefore, after: after.overRouting },
+      cost: { before: before.summary.cost, after: after.cost },
+      energyWh: { before: before.summary.energyWh, after: after.energyWh },
+      rerouted,
+      regressed: before.summary.quality !== null && after.quality !== null &&
+        before.summary.quality - after.quality > tolerance,
+      overRouted: after.aboveMinimum > before.summary.aboveMinimum ||
+        (overRoutingBefore !== null && after.overRouting !== null && after.overRouting > overRoutingBefore)
+    }
+  })
+}
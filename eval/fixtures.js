@@ -0,0 +1,73 @@
+/**
+ * A provider that answers from recorded fixtures instead of a model, so an
+ * evaluation of real answers runs offline and gives the same result every
+ * time.
+ *
+ * Fixtures are a JSON list of recorded answers:
+ *
+ *   [{ "modelId": "gpt-4.1-mini", "prompt": "Translate 'good morning' into Spanish.",
+ *      "text": "Buenos días.", "usage": { "prompt_tokens": 32, "completion_tokens": 5 } }]
+ *
+ * `usage` (chat/completions shape) is estimated from the text when left
+ * out, and `finishReason` defaults to "stop".
+ */
+
+import { estimateTokens, estimateMessageTokens } from '../src/tokens.js'
+import { createRequestError } from '../src/requestErrors.js'
+import { MODELS } from '../src/models.js'
+
+const fixtureKey = (modelId, prompt) => `${modelId}\n${prompt.trim()}`
+
+/**
+ * Parse fixtures JSON. Throws an Error listing the problems if any entry
+ * is invalid.
+ */
+export function parseFixtures(json) {
+  const fixtures = JSON.parse(json)
+  if (!Array.isArray(fixtures)) throw new Error('Fixtures must be a JSON list of recorded answers')
+
+  const problems = fixtures.flatMap((fixture, idx) => {
+    const errors = []
+    if (!MODELS[fixture?.modelId]) errors.push(`unknown model "${fixture?.modelId}"`)
+    if (typeof fixture?.prompt !== 'string') errors.push('"prompt" must be a string')
+    if (typeof fixture?.text !== 'string') errors.push('"text" must be a string')
+    return errors.map(error => `Fixture ${idx + 1}: ${error}`)
+  })
+  if (problems.length > 0) throw new Error(problems.join('\n'))
+  return fixtures
+}
+
+/**
+ * Provider adapter (same complete() contract as src/providers) answering
+ * from `fixtures`. A request with no recorded answer for its model and
+ * prompt fails.
+ */
+export function createFixtureProvider(fixtures) {
+  const answers = new Map(fixtures.map(fixture => [fixtureKey(fixture.modelId, fixture.prompt), fixture]))
+
+  return {
+    id: 'fixtures',
+    name: 'Recorded fixtures',
+
+    async complete(model, messages) {
+      const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || ''
+      const fixture = answers.get(fixtureKey(model.id, prompt))
+      if (!fixture) {
+        const excerpt = prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt
+        throw createRequestError(`No fixture for ${model.id} answering "${excerpt}"`, {
+          category: 'other',
+          provider: 'fixtures'
+        })
+      }
+      return {
+        text: fixture.text,
+        usage: fixture.usage || {
+          prompt_tokens: estimateMessageTokens(messages),
+          completion_tokens: estimateTokens(fixture.text)
+        },
+        finishReason: fixture.finishReason || 'stop',
+        refusal: fixture.refusal || ''
+      }
+    }
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Command-line routing evaluation. Needs no network or API key.
+ *
+ *   npm run eval -- [options]    (npm run eval -- --help lists them)
+ *
+ * See evaluate.js for the suite format and how answers are scored, and
+ * fixtures.js for the fixture format.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join, dirname, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { DEFAULT_POLICY, parsePolicyImport } from '../src/routing.js'
+import { mockProvider } from '../src/providers/mock.js'
+import { formatEnergy } from '../src/energy.js'
+import { MODEL_TIERS } from '../src/models.js'
+import {
+  DEFAULT_EVAL_SETTINGS,
+  parseSuite,
+  runEvaluation,
+  summarizeRun,
+  toBaseline,
+  compareWithBaseline
+} from './evaluate.js'
+import { parseFixtures, createFixtureProvider } from './fixtures.js'
+
+const DEFAULT_SUITE = join(dirname(fileURLToPath(import.meta.url)), 'suites', 'default.jsonl')
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+const USAGE = `Usage: npm run eval -- [options]
+
+Options:
+  --suite FILE          JSONL prompt suite (default eval/suites/default.jsonl)
+  --fixtures FILE       answer from recorded fixtures instead of the mock provider
+  --policy FILE         also evaluate the policies in FILE (a policy export); repeatable
+  --efficiency N, --speed N, --complexity N|auto
+                        sliders for cases that don't set their own (default 3, 3, auto)
+  --baseline FILE       compare with a saved baseline; exits with 1 if quality drops
+                        or over-routing grows
+  --tolerance X         quality drop allowed before that counts (default 0)
+  --save-baseline FILE  save this run as a baseline
+  --verbose             list every case
+  --json                print the full results as JSON instead
+  --help                show this help`
+
+function fail(message) {
+  console.error(message)
+  process.exit(2)
+}
+
+const OPTIONS = {
+  suite: { type: 'string', default: DEFAULT_SUITE },
+  fixtures: { type: 'string' },
+  policy: { type: 'string', multiple: true, default: [] },
+  efficiency: { type: 'string' },
+  speed: { type: 'string' },
+  complexity: { type: 'string' },
+  baseline: { type: 'string' },
+  tolerance: { type: 'string', default: '0' },
+  'save-baseline': { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+}
+
+let options
+try {
+  options = parseArgs({ options: OPTIONS }).values
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`)
+}
+
+if (options.help) {
+  console.log(USAGE)
+  process.exit(0)
+}
+
+/**
+ * A 1-5 slider option, or the default when not given
+ */
+function sliderOption(name, fallback) {
+  if (options[name] === undefined || (name === 'complexity' && options[name] === 'auto')) return fallback
+  const value = Number(options[name])
+  if (!Number.isInteger(value) || value < 1 || value > 5) fail(`--${name} must be a whole number from 1 to 5`)
+  return value
+}
+
+/**
+ * Read and parse a file, exiting with a readable message if either fails
+ */
+function readWith(file, parse) {
+  try {
+    return parse(readFileSync(file, 'utf8'))
+  } catch (err) {
+    fail(`${file}: ${err.message}`)
+  }
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+const formatCost = (cost) => `$${cost.toFixed(6)}`
+const formatQuality = (quality) => (quality === null ? 'n/a' : quality.toFixed(3))
+const formatTiers = (tiers) => (tiers === null ? 'n/a' : tiers.toFixed(2))
+
+function change(before, after, format) {
+  if (before === null || after === null) return `${before === null ? 'n/a' : format(before)} → ${after === null ? 'n/a' : format(after)}`
+  const percent = before ? ` (${after >= before ? '+' : ''}${(((after - before) / before) * 100).toFixed(1)}%)` : ''
+  return `${format(before)} → ${format(after)}${percent}`
+}
+
+function printRun({ policy, results }, providerName) {
+  const summary = summarizeRun(results)
+  console.log(`\nPolicy: ${policy.name} (${summary.cases} cases, ${providerName})`)
+  console.log(`  Tiers:   ${MODEL_TIERS.map((id, idx) => `${idx + 1} ${id}: ${summary.tiers[idx + 1]}`).join(' · ')}`)
+  console.log(`  Cost:    ${formatCost(summary.cost)} · Energy: ${formatEnergy(summary.energyWh)}`)
+  console.log(
+    `  Quality: ${formatQuality(summary.quality)} over ${summary.graded} graded · ` +
+    `${summary.underRouted} under-routed · ${summary.failed} failed`
+  )
+  console.log(
+    `  Over-routing: ${formatTiers(summary.overRouting)} tiers above minimum per case · ` +
+    `${summary.aboveMinimum} cases above their minimum tier`
+  )
+
+  if (options.verbose) {
+    for (const r of results) {
+      const minimum = r.minTier === null ? '' : ` (min ${r.minTier})`
+      const quality = r.quality === null ? '' : ` quality ${r.quality.toFixed(2)}`
+      console.log(`    ${r.id}: tier ${r.tier}${minimum} ${r.modelId}, ${r.outcome}${quality}${r.error ? ` – ${r.error}` : ''}`)
+    }
+  }
+}
+
+function printComparison(comparison) {
+  const flags = [comparison.regressed && '✗ QUALITY REGRESSED', comparison.overRouted && '✗ OVER-ROUTING GREW']
+  console.log(`\nBaseline comparison: ${[comparison.policy, ...flags.filter(Boolean)].join('  ')}`)
+  console.log(`  Quality: ${change(comparison.quality.before, comparison.quality.after, formatQuality)}`)
+  console.log(`  Over-routing: ${change(comparison.overRouting.before, comparison.overRouting.after, formatTiers)}`)
+  console.log(`  Cost:    ${change(comparison.cost.before, comparison.cost.after, formatCost)}`)
+  console.log(`  Energy:  ${change(comparison.energyWh.before, comparison.energyWh.after, formatEnergy)}`)
+  console.log(`  Rerouted: ${comparison.rerouted.length === 0
+    ? 'none'
+    : comparison.rerouted.map(r => `${r.id} ${r.from} → ${r.to}`).join(', ')}`)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const cases = readWith(options.suite, parseSuite)
+const suiteName = relative(process.cwd(), options.suite)
+const policies = [DEFAULT_POLICY, ...options.policy.flatMap(file => readWith(file, parsePolicyImport))]
+const provider = options.fixtures
+  ? createFixtureProvider(readWith(options.fixtures, parseFixtures))
+  : mockProvider
+const settings = {
+  efficiency: sliderOption('efficiency', DEFAULT_EVAL_SETTINGS.efficiency),
+  speed: sliderOption('speed', DEFAULT_EVAL_SETTINGS.speed),
+  complexity: sliderOption('complexity', DEFAULT_EVAL_SETTINGS.complexity)
+}
+const tolerance = Number(options.tolerance)
+if (Number.isNaN(tolerance) || tolerance < 0) fail('--tolerance must be a number, 0 or more')
+
+// Answer text is only worth checking when it's a real (recorded) answer
+const runs = await runEvaluation(cases, policies, provider, { settings, checkText: Boolean(options.fixtures) })
+const baseline = options.baseline ? readWith(options.baseline, JSON.parse) : null
+const comparisons = baseline ? compareWithBaseline(runs, baseline, tolerance) : []
+
+if (options.json) {
+  console.log(JSON.stringify({
+    suite: suiteName,
+    provider: provider.id,
+    settings,
+    runs: runs.map(({ policy, results }) => ({ policy: policy.name, summary: summarizeRun(results), results })),
+    comparisons
+  }, null, 2))
+} else {
+  console.log(`Suite: ${suiteName} (${cases.length} cases)`)
+  for (const run of runs) printRun(run, provider.name)
+  for (const comparison of comparisons) printComparison(comparison)
+}
+
+if (options['save-baseline']) {
+  writeFileSync(options['save-baseline'], JSON.stringify(toBaseline(runs, { suite: suiteName, provider: provider.id }), null, 2))
+  if (!options.json) console.log(`\nSaved baseline to ${options['save-baseline']}`)
+}
+
+if (comparisons.some(c => c.regressed || c.overRouted)) process.exit(1)
@@ -0,0 +1,87 @@
+/**
+ * Standalone server: serves the built app from dist/ and the /api/chat proxy.
+ *
+ * Usage:
+ *   npm run build
+ *   OPENAI_API_KEY=sk-... npm start
+ *
+ * Environment variables (also read from .env when present):
+ * - OPENAI_API_KEY         provider API key (required)
+ * - PORT                   port to listen on (default 8787)
+ * - RATE_LIMIT_PER_MINUTE  requests per client per minute (default 20)
+ * - TRUST_PROXY            "true" to rate-limit by X-Forwarded-For
+ * - OPENAI_CHAT_URL        override the upstream chat/completions URL
+ * - LOCAL_CHAT_URL         OpenAI-compatible local server (default: Ollama on :11434)
+ * - LOCAL_API_KEY          optional key for the local server
+ */
+
+import { createServer } from 'node:http'
+import { existsSync, createReadStream, statSync } from 'node:fs'
+import { join, extname, normalize, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createProxyMiddleware, proxyOptionsFromEnv } from './proxy.js'
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..')
+const DIST_DIR = join(ROOT_DIR, 'dist')
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json'
+}
+
+// Load .env for parity with `npm run dev` (Node 20.12+)
+const envFile = join(ROOT_DIR, '.env')
+if (existsSync(envFile) && process.loadEnvFile) {
+  process.loadEnvFile(envFile)
+}
+
+/**
+ * Serve a file from dist/, falling back to index.html for unknown paths
+ */
+function serveStatic(req, res) {
+  let urlPath
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0])
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain' })
+    res.end('Malformed URL')
+    return
+  }
+  // normalize() resolves any ".." so requests can't escape dist/
+  let filePath = join(DIST_DIR, normalize(urlPath).replace(/^(\.\.[/\\])+/, ''))
+
+  if (!filePath.startsWith(DIST_DIR) || !existsSync(filePath) || statSync(filePath).isDirectory()) {
+    filePath = join(DIST_DIR, 'index.html')
+  }
+
+  if (!existsSync(filePath)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' })
+    res.end('dist/ not found - run `npm run build` first')
+    return
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream'
+  })
+  createReadStream(filePath).pipe(res)
+}
+
+const options = proxyOptionsFromEnv(process.env)
+if (!options.upstreams.openai.apiKey) {
+  console.warn('Warning: OPENAI_API_KEY is not set; /api/chat requests will fail')
+}
+
+const proxy = createProxyMiddleware(options)
+const port = Number(process.env.PORT) || 8787
+
+createServer((req, res) => {
+  proxy(req, res, () => serveStatic(req, res))
+}).listen(port, () => {
+  console.log(`Low Energy AI server listening on http://localhost:${port}`)
+})
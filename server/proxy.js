@@ -0,0 +1,270 @@
+/**
+ * API proxy for the Low Energy AI app
+ *
+ * Holds the OpenAI API key on the server so it never reaches the browser.
+ * The browser POSTs chat/completions request bodies to /api/chat; the proxy
+ * checks the model against the allowlist, applies a per-client rate limit,
+ * forwards the request to the upstream for the model's provider (adding its
+ * Authorization header, if any) and streams the response back.
+ *
+ * createProxyMiddleware() returns a connect-style (req, res, next) handler,
+ * so the same code runs inside the Vite dev server and the standalone server.
+ */
+
+import { Readable } from 'node:stream'
+import { MODELS } from '../src/models.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_OPENAI_URL = 'https://api.openai.com/v1/chat/completions'
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server uses port 8080
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1/chat/completions'
+
+// Requests allowed per client per window
+const DEFAULT_RATE_LIMIT = 20
+const DEFAULT_RATE_WINDOW_MS = 60 * 1000
+
+// Room for a history with attached images (sent inline as base64) and
+// files; anything bigger than this is rejected unread
+const MAX_BODY_BYTES = 50 * 1024 * 1024
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Upstream response headers passed back to the browser, so it can honor
+// the provider's requested wait after a 429 or 503
+const FORWARDED_HEADERS = ['retry-after', 'retry-after-ms']
+
+/**
+ * Send a JSON error in the same shape the OpenAI API uses, so the
+ * client's error handling works for both. `code` tells the client the
+ * cause (see src/requestErrors.js).
+ */
+function sendError(res, status, message, { code = null, headers = {} } = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify({ error: { message, type: 'proxy_error', code } }))
+}
+
+/**
+ * Read and parse a JSON request body, enforcing MAX_BODY_BYTES and that
+ * the body is an object. A body that is too large is rejected as soon as
+ * it passes the limit; the rest of it is discarded, and the caller should
+ * destroy the request once it has answered.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    let tooLarge = false
+    const chunks = []
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true
+        chunks.length = 0
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }))
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      if (tooLarge) return
+      let body
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      } catch {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }))
+        return
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }))
+        return
+      }
+      resolve(body)
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Identify the client for rate limiting. X-Forwarded-For is only trusted
+ * when the proxy is explicitly configured to sit behind a load balancer.
+ */
+function getClientId(req, trustForwardedFor) {
+  if (trustForwardedFor) {
+    const forwarded = req.headers['x-forwarded-for']
+    if (forwarded) return forwarded.split(',')[0].trim()
+  }
+  return req.socket.remoteAddress || 'unknown'
+}
+
+/**
+ * Fixed-window rate limiter keyed by client ID.
+ * Returns 0 when the request is allowed, otherwise the number of
+ * seconds until the client's window resets.
+ */
+function createRateLimiter(limit, windowMs) {
+  const windows = new Map()
+
+  return function checkRateLimit(clientId, now = Date.now()) {
+    // Drop expired windows so the map doesn't grow without bound
+    for (const [id, entry] of windows) {
+      if (now - entry.start >= windowMs) windows.delete(id)
+    }
+
+    const entry = windows.get(clientId)
+    if (!entry) {
+      windows.set(clientId, { start: now, count: 1 })
+      return 0
+    }
+    if (entry.count < limit) {
+      entry.count++
+      return 0
+    }
+    return Math.ceil((entry.start + windowMs - now) / 1000)
+  }
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Create the /api/chat proxy middleware.
+ *
+ * Options:
+ * - upstreams: { [provider]: { url, apiKey, requiresKey, keyName } } - where each
+ *   provider's models are forwarded; providers without an entry (e.g. the
+ *   in-browser mock) are not served
+ * - allowedModels: model IDs the client may request (defaults to MODELS)
+ * - rateLimit / rateWindowMs: requests allowed per client per window
+ * - trustForwardedFor: use X-Forwarded-For as the client ID
+ */
+export function createProxyMiddleware({
+  upstreams = {},
+  allowedModels = Object.keys(MODELS),
+  rateLimit = DEFAULT_RATE_LIMIT,
+  rateWindowMs = DEFAULT_RATE_WINDOW_MS,
+  trustForwardedFor = false
+} = {}) {
+  const allowlist = new Set(allowedModels)
+  const checkRateLimit = createRateLimiter(rateLimit, rateWindowMs)
+
+  // Answer one request to /api/chat
+  async function handleChat(req, res) {
+    if (req.method !== 'POST') {
+      return sendError(res, 405, 'Method not allowed', { headers: { Allow: 'POST' } })
+    }
+
+    const retryAfter = checkRateLimit(getClientId(req, trustForwardedFor))
+    if (retryAfter > 0) {
+      return sendError(
+        res,
+        429,
+        `Rate limit exceeded: ${rateLimit} requests per ${rateWindowMs / 1000}s. Try again in ${retryAfter}s.`,
+        { code: 'rate_limit_exceeded', headers: { 'Retry-After': String(retryAfter) } }
+      )
+    }
+
+    let body
+    try {
+      body = await readJsonBody(req)
+    } catch (err) {
+      // Answer before dropping the connection, or the client never sees the 413
+      if (err.status === 413) res.on('finish', () => req.destroy())
+      return sendError(res, err.status || 400, err.message)
+    }
+
+    if (!allowlist.has(body.model) || !MODELS[body.model]) {
+      return sendError(res, 400, `Model "${body.model}" is not allowed by this proxy`, { code: 'model_not_allowed' })
+    }
+
+    const providerId = MODELS[body.model].provider
+    const upstream = upstreams[providerId]
+    if (!upstream) {
+      return sendError(res, 400, `Provider "${providerId}" is not served by this proxy`, { code: 'provider_not_served' })
+    }
+    if (upstream.requiresKey && !upstream.apiKey) {
+      return sendError(res, 500, `${upstream.keyName} is not set on the API proxy`, { code: 'missing_api_key' })
+    }
+
+    // Cancel the upstream request if the browser goes away (e.g. Stop button)
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort()
+    })
+
+    try {
+      const headers = { 'Content-Type': 'application/json' }
+      if (upstream.apiKey) headers['Authorization'] = `Bearer ${upstream.apiKey}`
+
+      const upstreamResponse = await fetch(upstream.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+
+      const responseHeaders = {
+        'Content-Type': upstreamResponse.headers.get('content-type') || 'application/json',
+        'Cache-Control': 'no-cache'
+      }
+      for (const name of FORWARDED_HEADERS) {
+        const value = upstreamResponse.headers.get(name)
+        if (value) responseHeaders[name] = value
+      }
+      res.writeHead(upstreamResponse.status, responseHeaders)
+
+      if (!upstreamResponse.body) return res.end()
+      Readable.fromWeb(upstreamResponse.body)
+        .on('error', () => res.end())
+        .pipe(res)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Proxy error:', err)
+      if (res.headersSent) return res.end()
+      sendError(res, 502, `Could not reach ${providerId} at ${upstream.url}: ${err.message}`, { code: 'upstream_unreachable' })
+    }
+  }
+
+  return async function proxyMiddleware(req, res, next) {
+    const path = req.url.split('?')[0]
+    if (path !== '/api/chat') return next()
+
+    // Nothing a request does may take the server down with it
+    try {
+      await handleChat(req, res)
+    } catch (err) {
+      console.error('Proxy error:', err)
+      if (res.headersSent) return res.end()
+      sendError(res, 500, 'Internal proxy error')
+    }
+  }
+}
+
+/**
+ * Read proxy options from environment variables
+ */
+export function proxyOptionsFromEnv(env) {
+  return {
+    upstreams: {
+      openai: {
+        url: env.OPENAI_CHAT_URL || DEFAULT_OPENAI_URL,
+        apiKey: env.OPENAI_API_KEY,
+        keyName: 'OPENAI_API_KEY',
+        requiresKey: true
+      },
+      local: {
+        url: env.LOCAL_CHAT_URL || DEFAULT_LOCAL_URL,
+        apiKey: env.LOCAL_API_KEY
+      }
+    },
+    rateLimit: Number(env.RATE_LIMIT_PER_MINUTE) || DEFAULT_RATE_LIMIT,
+    trustForwardedFor: env.TRUST_PROXY === 'true'
+  }
+}
@@ -1,5 +1,132 @@
-import { useState, useEffect } from 'react'
+import { useState, useRef, useEffect } from 'react'
 import './App.css'
+import { MODELS, MODEL_TIERS, REASONING_EFFORTS, CAPABILITIES } from './models.js'
+import { inferComplexity, extractPromptFeatures } from './complexity.js'
+import {
+  TYPICAL_USAGE,
+  calculateUsageCost,
+  calculateQueryCost,
+  getComparisonCost,
+  COMPARISON_MODEL_ID
+} from './pricing.js'
+import {
+  toApiMessages,
+  streamChatCompletion,
+  getRequestLimits,
+  parseStopSequences,
+  DEFAULT_SYSTEM_PROMPT,
+  TEMPERATURE_RANGE,
+  TOP_P_RANGE,
+  MAX_STOP_SEQUENCES
+} from './chat.js'
+import {
+  HISTORY_STRATEGIES,
+  DEFAULT_HISTORY_TOKENS,
+  planHistory,
+  getRequestNeeds,
+  summarizeHistory
+} from './history.js'
+import { MAX_ATTACHMENTS, ACCEPTED_FILES, readAttachment, formatFileSize } from './attachments.js'
+import { estimateTokens, estimateMessageTokens } from './tokens.js'
+import { EMPTY_SESSION_STATS, addQueryStats, addCacheHitStats } from './sessionStats.js'
+import {
+  DEFAULT_CARBON_INTENSITY,
+  calculateUsageEnergy,
+  calculateQueryEnergy,
+  getComparisonEnergy,
+  calculateCarbon,
+  formatEnergy,
+  formatCarbon
+} from './energy.js'
+import {
+  listConversations,
+  saveConversation,
+  deleteConversation,
+  createConversation
+} from './storage.js'
+import {
+  DEFAULT_POLICY,
+  selectModel,
+  deriveGeneration,
+  describeConditions,
+  describeAction,
+  loadPolicies,
+  savePolicies,
+  loadActivePolicyId,
+  saveActivePolicyId
+} from './routing.js'
+import ConversationSidebar from './components/ConversationSidebar.jsx'
+import PolicyEditor from './components/PolicyEditor.jsx'
+import UsageDashboard from './components/UsageDashboard.jsx'
+import BudgetPanel from './components/BudgetPanel.jsx'
+import CompareView from './components/CompareView.jsx'
+import PresetPanel from './components/PresetPanel.jsx'
+import BatchRunner from './components/BatchRunner.jsx'
+import FeedbackPanel from './components/FeedbackPanel.jsx'
+import MarkdownMessage from './components/MarkdownMessage.jsx'
+import {
+  getMessageVersions,
+  addMessageVersion,
+  selectMessageVersion,
+  updateActiveVersion
+} from './messageVersions.js'
+import {
+  loadBudgets,
+  saveBudgets,
+  loadLedger,
+  recordSpend,
+  loadOverrideLog,
+  logOverride,
+  getBudgetStatus,
+  getBudgetTierCap,
+  getBudgetsExceededBy,
+  describeBudget
+} from './budget.js'
+import {
+  ATTEMPT_OUTCOMES,
+  getCascadeRange,
+  getIncapableTiers,
+  modelForTier,
+  modelsForTiers,
+  getAttemptOutcome,
+  getFallbackTier,
+  MAX_FALLBACKS,
+  buildAttempt,
+  runSelfCheck
+} from './cascade.js'
+import { ERROR_CATEGORIES, describeError } from './requestErrors.js'
+import {
+  BUILT_IN_PRESETS,
+  loadPresets,
+  savePresets,
+  pickPresetSettings,
+  matchesPreset,
+  setupToQuery,
+  setupFromQuery
+} from './presets.js'
+import {
+  CACHE_MATCH_MODES,
+  CACHE_TTL_OPTIONS,
+  loadCacheSettings,
+  saveCacheSettings,
+  loadCache,
+  clearCache,
+  hashContext,
+  getRouteKey,
+  findCachedResponse,
+  cacheResponse
+} from './responseCache.js'
+import {
+  THUMBS,
+  FIT_RATINGS,
+  loadPreferenceSignals,
+  getPromptKind,
+  recordFeedback,
+  feedbackFor,
+  clearFeedback,
+  loadAdaptiveRouting,
+  saveAdaptiveRouting
+} from './preferenceSignals.js'
 
 /**
  * Low Energy AI Interface Demo
@@ -10,156 +137,10 @@ import './App.css'
  * The three sliders (Efficiency, Speed, Complexity) determine which model handles queries:
  * - High efficiency + low complexity → smaller, cheaper model (gpt-4o-mini)
  * - Low efficiency + high complexity → larger, more capable model (gpt-4o)
- */
-
-// ============================================================================
-// CONFIGURATION - Model definitions and pricing
-// ============================================================================
-
-// Model configurations with estimated costs per 1M tokens (December 2025 pricing)
-// Using official OpenAI API model IDs from platform.openai.com/docs/models
-// Organized from most efficient (lowest energy) to most powerful (highest energy)
-const MODELS = {
-  // Tier 1: Ultra Efficient - Bulk tasks, classification, lowest cost
-  'gpt-4.1-nano': {
-    id: 'gpt-4.1-nano',           // Official API ID
-    name: 'GPT-4.1 Nano',
-    description: 'Ultra-cheap, bulk labeling & classification',
-    costPer1MTokens: 0.10,
-    color: '#10b981',
-    energyRating: '🌱 Minimal',
-    tier: 1
-  },
-  // Tier 2: Very Efficient - Fast, everyday tasks
-  'gpt-4.1-mini': {
-    id: 'gpt-4.1-mini',           // Official API ID
-    name: 'GPT-4.1 Mini',
-    description: 'Fast, 1M context, great instruction following',
-    costPer1MTokens: 0.40,
-    color: '#22c55e',
-    energyRating: '🌿 Low',
-    tier: 2
-  },
-  // Tier 3: Efficient Reasoning - Fast reasoning for coding/math
-  'o4-mini': {
-    id: 'o4-mini',                // Official API ID
-    name: 'o4-mini',
-    description: 'Fast reasoning, excellent math & coding',
-    costPer1MTokens: 0.60,
-    color: '#84cc16',
-    energyRating: '⚡ Medium',
-    tier: 3
-  },
-  // Tier 4: Capable - Smart general model
-  'gpt-4.1': {
-    id: 'gpt-4.1',                // Official API ID
-    name: 'GPT-4.1',
-    description: 'Smart non-reasoning, 1M context, excellent coding',
-    costPer1MTokens: 2.00,
-    color: '#eab308',
-    energyRating: '🔥 High',
-    tier: 4
-  },
-  // Tier 5: Advanced - GPT-5 mini (successor to o4-mini)
-  'gpt-5-mini': {
-    id: 'gpt-5-mini',             // Official API ID
-    name: 'GPT-5 Mini',
-    description: 'Fast GPT-5, great for most tasks',
-    costPer1MTokens: 0.80,
-    color: '#f97316',
-    energyRating: '🔥🔥 Very High',
-    tier: 5
-  },
-  // Tier 6: Maximum Power - Latest flagship
-  'gpt-5.2': {
-    id: 'gpt-5.2',                // Official API ID
-    name: 'GPT-5.2',
-    description: 'Flagship: 400K context, thinking, coding, agentic',
-    costPer1MTokens: 1.75,
-    color: '#ef4444',
-    energyRating: '🔥🔥🔥 Maximum',
-    tier: 6
-  }
-}
-
-// Estimated tokens per query (rough average for demo purposes)
-const ESTIMATED_TOKENS_PER_QUERY = 500
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-// Model tiers ordered from most efficient to most powerful
-const MODEL_TIERS = [
-  'gpt-4.1-nano',  // Tier 1: Ultra efficient
-  'gpt-4.1-mini',  // Tier 2: Very efficient
-  'o4-mini',       // Tier 3: Efficient reasoning
-  'gpt-4.1',       // Tier 4: Capable
-  'gpt-5-mini',    // Tier 5: Advanced (GPT-5 mini)
-  'gpt-5.2'        // Tier 6: Maximum power (latest flagship)
-]
-
-/**
- * Determines which model to use based on slider values.
  *
- * Logic:
- * - Complexity is the primary driver (higher complexity = more powerful model)
- * - Efficiency preference can push toward more efficient options
- * - Speed preference is considered but weighted less
- *
- * The "preference code" is calculated using prime numbers for each slider:
- * Efficiency=2, Speed=3, Complexity=5
- * This creates a unique code for each combination (for future extensibility)
- */
-function selectModel(efficiency, speed, complexity) {
-  // Calculate preference code using prime number system
-  const preferenceCode = (efficiency * 2) + (speed * 3) + (complexity * 5)
-
-  // Map complexity 1-5 to base tier 1-6
-  // complexity 1 → tier 1, complexity 2 → tier 2, complexity 3 → tier 3-4,
-  // complexity 4 → tier 4-5, complexity 5 → tier 5-6
-  let baseTier = Math.ceil(complexity * 1.2)
-
-  // High efficiency preference can reduce the tier (save energy)
-  if (efficiency >= 4 && complexity <= 2) {
-    baseTier = 1  // Use most efficient model
-  } else if (efficiency >= 4 && complexity <= 3) {
-    baseTier = Math.max(1, baseTier - 1)  // Step down one tier
-  } else if (efficiency <= 2 && complexity >= 4) {
-    baseTier = Math.min(6, baseTier + 1)  // User doesn't care about efficiency, step up
-  }
-
-  // Speed preference: high speed favors non-reasoning models (gpt-4.1 series)
-  if (speed >= 4 && complexity <= 3) {
-    baseTier = Math.min(baseTier, 3)  // Cap at tier 3 (gpt-4.1) for speed
-  }
-
-  // If user wants reasoning (complexity 4-5) but also speed, use o4-mini
-  if (speed >= 4 && complexity >= 4) {
-    baseTier = 4  // o4-mini is fast reasoning
-  }
-
-  // Clamp to valid range (1-6)
-  const finalTier = Math.max(1, Math.min(6, baseTier))
-  const modelId = MODEL_TIERS[finalTier - 1]
-
-  return { model: MODELS[modelId], preferenceCode }
-}
-
-/**
- * Calculate estimated cost per query based on selected model
- * Cost is per 1M tokens, so divide by 1,000,000
- */
-function calculateQueryCost(model) {
-  return (model.costPer1MTokens * ESTIMATED_TOKENS_PER_QUERY / 1000000).toFixed(6)
-}
-
-/**
- * Get the most expensive model for comparison (gpt-4.1 at $2.00/1M)
+ * How slider values map to models is set by the active routing policy
+ * (see routing.js).
  */
-function getMaxModelCost() {
-  return MODELS['gpt-4.1'].costPer1MTokens * ESTIMATED_TOKENS_PER_QUERY / 1000000
-}
 
 // ============================================================================
 // COMPONENTS
@@ -167,8 +148,9 @@ function getMaxModelCost() {
 
 /**
  * Slider component for preference settings
+ * Optional children render below the description (e.g. the Auto toggle)
  */
-function PreferenceSlider({ label, value, onChange, description, icon }) {
+function PreferenceSlider({ label, value, onChange, description, icon, children }) {
   return (
     <div className="slider-container">
       <div className="slider-header">
@@ -189,6 +171,40 @@ function PreferenceSlider({ label, value, onChange, description, icon }) {
         <span>High</span>
       </div>
       <p className="slider-description">{description}</p>
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Auto-complexity toggle and the explanation of what was inferred
+ */
+function AutoComplexity({ enabled, onToggle, inference, fallback }) {
+  return (
+    <div className="auto-complexity">
+      <label className="auto-toggle">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onToggle(e.target.checked)}
+        />
+        Auto-detect from each prompt
+      </label>
+      {enabled && (
+        inference ? (
+          <div className="auto-inference">
+            <strong>Inferred complexity {inference.complexity}</strong>
+            <ul>
+              {inference.reasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+            <small>Move the slider to override</small>
+          </div>
+        ) : (
+          <p className="auto-inference">
+            Type a message to infer its complexity (using {fallback} until then)
+          </p>
+        )
+      )}
     </div>
   )
 }
@@ -221,9 +237,72 @@ function ModelSelector({ currentModel, onModelSelect }) {
 }
 
 /**
- * Model display card showing currently selected model
+ * Routing policy picker, with a shortcut to the policy editor
+ */
+function PolicySelector({ policies, activeId, onChange, onManage }) {
+  return (
+    <div className="model-selector">
+      <label className="selector-label">Routing policy:</label>
+      <div className="policy-selector">
+        <select
+          value={activeId}
+          onChange={(e) => onChange(e.target.value)}
+          className="model-dropdown"
+        >
+          {policies.map(policy => (
+            <option key={policy.id} value={policy.id}>{policy.name}</option>
+          ))}
+        </select>
+        <button className="policy-manage" onClick={onManage}>Edit</button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * "Why this model?": each routing step and how it moved the tier
  */
-function ModelDisplay({ model, preferenceCode }) {
+function RoutingTrace({ trace }) {
+  return (
+    <details className="routing-trace">
+      <summary>Why this model?</summary>
+      <ol>
+        {trace.map((step, idx) => {
+          const changed = step.from !== step.to
+          return (
+            <li key={idx} className={changed ? '' : 'unchanged'}>
+              <span className="routing-step">{step.label}</span>
+              <span className="routing-tier">
+                {step.from === null
+                  ? `tier ${step.to}`
+                  : changed ? `${step.from} → ${step.to}` : `stays ${step.to}`}
+              </span>
+              {step.rule && (
+                <small>if {describeConditions(step.rule.when)} → {describeAction(step.rule.then)}</small>
+              )}
+            </li>
+          )
+        })}
+      </ol>
+      <p className="routing-result">
+        Result: tier {trace[trace.length - 1].to} ({modelForTier(trace[trace.length - 1].to).name})
+      </p>
+    </details>
+  )
+}
+
+// What a model lacks, as the routing notes put it
+const NEED_PHRASES = {
+  vision: 'read images',
+  'long-context': 'fit this request in its context window'
+}
+
+/**
+ * Model display card showing currently selected model, with what it can
+ * do and why routing moved off the policy's tier (ratings in adaptive
+ * mode, or a model that couldn't handle the request)
+ */
+function ModelDisplay({ model, policy, trace, budgetLimitedFrom, feedbackShift, capabilityShift }) {
   return (
     <div
       className="model-display"
@@ -241,21 +320,385 @@ function ModelDisplay({ model, preferenceCode }) {
         {model.name}
       </h2>
       <p className="model-description">{model.description}</p>
+      {model.capabilities.length > 0 && (
+        <div className="model-capabilities">
+          {model.capabilities.map(capability => (
+            <span key={capability} className="capability-badge">{CAPABILITIES[capability]}</span>
+          ))}
+        </div>
+      )}
+      {feedbackShift && (
+        <p className="model-capability-shift">
+          Adaptive: ratings of similar prompts moved this from tier {feedbackShift.from} to {feedbackShift.to}
+          {' '}({feedbackShift.down} for cheaper, {feedbackShift.up} for stronger).
+        </p>
+      )}
+      {capabilityShift && (
+        <p className="model-capability-shift">
+          Moved {capabilityShift.to > capabilityShift.from ? 'up' : 'down'} from{' '}
+          {modelForTier(capabilityShift.from).name}: it can't{' '}
+          {capabilityShift.needs.map(need => NEED_PHRASES[need]).join(' or ')}.{' '}
+          {modelForTier(capabilityShift.to).name} is the{' '}
+          {capabilityShift.to > capabilityShift.from ? 'cheapest' : 'strongest'} model that can.
+        </p>
+      )}
+      {budgetLimitedFrom && (
+        <p className="model-budget-limited">
+          Budget limit: stepped down from {modelForTier(budgetLimitedFrom).name}
+        </p>
+      )}
       <div className="preference-code">
-        Preference Code: <code>{preferenceCode}</code>
+        Policy: <code>{policy.name}</code>
       </div>
+      <RoutingTrace trace={trace} />
+    </div>
+  )
+}
+
+/**
+ * Cascade routing toggles
+ */
+function CascadeSettings({ cascade, onCascadeChange, selfCheck, onSelfCheckChange, model, needs }) {
+  const { startTier, maxTier } = getCascadeRange(model.tier, needs)
+
+  return (
+    <div className="cascade-settings">
+      <label className="auto-toggle">
+        <input
+          type="checkbox"
+          checked={cascade}
+          onChange={(e) => onCascadeChange(e.target.checked)}
+        />
+        Cascade: start cheap, escalate when needed
+      </label>
+      {cascade && (
+        <>
+          <p className="cascade-range">
+            Tries {modelForTier(startTier).name} first, escalating up to{' '}
+            {modelForTier(maxTier).name} if an answer is truncated or refused.
+          </p>
+          <label className="auto-toggle">
+            <input
+              type="checkbox"
+              checked={selfCheck}
+              onChange={(e) => onSelfCheckChange(e.target.checked)}
+            />
+            Self-check answers with {modelForTier(1).name}
+          </label>
+        </>
+      )}
     </div>
   )
 }
 
 /**
- * Savings display showing cost estimates
+ * How much earlier conversation each request carries
  */
-function SavingsDisplay({ model, queryCount, totalSavings }) {
-  const queryCost = calculateQueryCost(model)
+function HistorySettings({ strategy, onStrategyChange, historyTokens, onHistoryTokensChange }) {
+  return (
+    <div className="cascade-settings">
+      <label className="history-setting">
+        History:
+        <select value={strategy} onChange={(e) => onStrategyChange(e.target.value)}>
+          {Object.entries(HISTORY_STRATEGIES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {strategy === 'full' ? (
+        <p className="cascade-range">
+          Sends every turn; the oldest are dropped only if the model's context window would overflow.
+        </p>
+      ) : (
+        <label className="history-setting">
+          Up to
+          <input
+            type="number"
+            min="500"
+            step="500"
+            value={historyTokens}
+            onChange={(e) => onHistoryTokensChange(Number(e.target.value) || DEFAULT_HISTORY_TOKENS)}
+          />
+          tokens per request
+        </label>
+      )}
+      {strategy === 'summarize' && (
+        <p className="cascade-range">
+          Older turns are condensed by {modelForTier(1).name} as they fall out of the window.
+        </p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Response cache switches: on/off, near-duplicate matching, how long
+ * answers are kept, and clearing it
+ */
+function CacheSettings({ settings, onChange, entryCount, onClear }) {
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="cascade-settings">
+      <label className="auto-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Reuse cached answers to repeated questions
+      </label>
+      {settings.enabled && (
+        <>
+          <label className="history-setting">
+            Match:
+            <select value={settings.matchMode} onChange={(e) => update({ matchMode: e.target.value })}>
+              {Object.entries(CACHE_MATCH_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="history-setting">
+            Keep for:
+            <select value={settings.ttlHours} onChange={(e) => update({ ttlHours: Number(e.target.value) })}>
+              {Object.entries(CACHE_TTL_OPTIONS).map(([hours, label]) => (
+                <option key={hours} value={hours}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+      <p className="cascade-range">
+        {entryCount} cached answer{entryCount === 1 ? '' : 's'}
+        {entryCount > 0 && (
+          <>
+            {' · '}
+            <button className="link-btn" onClick={onClear}>Clear</button>
+          </>
+        )}
+      </p>
+    </div>
+  )
+}
+
+// Answer lengths offered when overriding the one the sliders pick
+const OUTPUT_LENGTH_OPTIONS = [200, 300, 500, 1000, 2000, 4000]
+
+/**
+ * Reasoning effort and answer length: derived from the sliders unless
+ * overridden (null means "from the sliders")
+ */
+function GenerationSettings({
+  model,
+  derived,
+  reasoningEffort,
+  onReasoningEffortChange,
+  maxOutputTokens,
+  onMaxOutputTokensChange
+}) {
+  const generation = {
+    reasoningEffort: reasoningEffort ?? derived.reasoningEffort,
+    maxOutputTokens: maxOutputTokens ?? derived.maxOutputTokens
+  }
+  const limits = getRequestLimits(model, generation)
+  const fromSliders = `from ${derived.slider}`
+  // A preset or shared link may carry a length that isn't one of the options
+  const lengthOptions = maxOutputTokens && !OUTPUT_LENGTH_OPTIONS.includes(maxOutputTokens)
+    ? [...OUTPUT_LENGTH_OPTIONS, maxOutputTokens].sort((a, b) => a - b)
+    : OUTPUT_LENGTH_OPTIONS
+
+  return (
+    <div className="cascade-settings">
+      <label className="history-setting">
+        Reasoning effort:
+        <select
+          value={reasoningEffort ?? 'auto'}
+          onChange={(e) => onReasoningEffortChange(e.target.value === 'auto' ? null : e.target.value)}
+        >
+          <option value="auto">Auto: {derived.reasoningEffort} ({fromSliders})</option>
+          {REASONING_EFFORTS.map(effort => <option key={effort} value={effort}>{effort}</option>)}
+        </select>
+      </label>
+      <p className="cascade-range">
+        {!limits.reasoningEffort
+          ? `${model.name} doesn't reason, so no effort is sent.`
+          : limits.reasoningEffort === generation.reasoningEffort
+            ? `Sent to ${model.name}.`
+            : `${model.name} doesn't accept "${generation.reasoningEffort}"; sent as "${limits.reasoningEffort}".`}
+      </p>
+      <label className="history-setting">
+        Answer length:
+        <select
+          value={maxOutputTokens ?? 'auto'}
+          onChange={(e) => onMaxOutputTokensChange(e.target.value === 'auto' ? null : Number(e.target.value))}
+        >
+          <option value="auto">Auto: {derived.maxOutputTokens} tokens ({fromSliders})</option>
+          {lengthOptions.map(tokens => <option key={tokens} value={tokens}>{tokens} tokens</option>)}
+        </select>
+      </label>
+      {limits.maxTokens > generation.maxOutputTokens && (
+        <p className="cascade-range">
+          Output limit {limits.maxTokens} tokens, including{' '}
+          {limits.maxTokens - generation.maxOutputTokens} for reasoning.
+        </p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * A sampling parameter as a number field; empty means the provider's default
+ */
+function SamplingInput({ label, value, range, step, onChange }) {
+  const handleChange = (e) => {
+    if (e.target.value === '') return onChange(null)
+    onChange(Math.min(range.max, Math.max(range.min, Number(e.target.value))))
+  }
+  return (
+    <label className="history-setting">
+      {label}:
+      <input
+        type="number"
+        min={range.min}
+        max={range.max}
+        step={step}
+        value={value ?? ''}
+        placeholder="default"
+        onChange={handleChange}
+      />
+    </label>
+  )
+}
+
+/**
+ * The conversation's system prompt, sampling parameters and stop
+ * sequences. Empty fields mean the defaults; reset clears these and the
+ * generation overrides.
+ */
+function PromptSettings({
+  model,
+  systemPrompt,
+  onSystemPromptChange,
+  temperature,
+  onTemperatureChange,
+  topP,
+  onTopPChange,
+  stopSequences,
+  onStopSequencesChange,
+  isDefault,
+  onReset
+}) {
+  const setStopSequence = (idx, value) => {
+    onStopSequencesChange(stopSequences.map((s, i) => i === idx ? value : s))
+  }
+  const hasSampling = temperature !== null || topP !== null || parseStopSequences(stopSequences).length > 0
+
+  return (
+    <div className="cascade-settings">
+      <label htmlFor="system-prompt">System prompt:</label>
+      <textarea
+        id="system-prompt"
+        className="system-prompt"
+        value={systemPrompt ?? ''}
+        placeholder={DEFAULT_SYSTEM_PROMPT}
+        onChange={(e) => onSystemPromptChange(e.target.value.trim() ? e.target.value : null)}
+        rows={3}
+      />
+      <p className="cascade-range">
+        {systemPrompt === null ? 'Using the default.' : 'Clear the box to go back to the default.'}
+      </p>
+
+      <SamplingInput
+        label="Temperature"
+        value={temperature}
+        range={TEMPERATURE_RANGE}
+        step={0.1}
+        onChange={onTemperatureChange}
+      />
+      <SamplingInput label="Top P" value={topP} range={TOP_P_RANGE} step={0.05} onChange={onTopPChange} />
+
+      <span>Stop sequences:</span>
+      {stopSequences.map((sequence, idx) => (
+        <div key={idx} className="stop-sequence">
+          <input
+            value={sequence}
+            onChange={(e) => setStopSequence(idx, e.target.value)}
+            placeholder="e.g. \n\n"
+            aria-label={`Stop sequence ${idx + 1}`}
+          />
+          <button
+            className="budget-remove"
+            onClick={() => onStopSequencesChange(stopSequences.filter((_, i) => i !== idx))}
+            aria-label="Remove stop sequence"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {stopSequences.length < MAX_STOP_SEQUENCES && (
+        <button className="link-btn stop-add" onClick={() => onStopSequencesChange([...stopSequences, ''])}>
+          + Add stop sequence
+        </button>
+      )}
+
+      {hasSampling && !model.sampling && (
+        <p className="cascade-range">
+          {model.name} doesn't accept temperature, top P or stop sequences, so they aren't sent.
+        </p>
+      )}
+      <button className="link-btn" onClick={onReset} disabled={isDefault}>
+        Reset prompt and generation settings to defaults
+      </button>
+    </div>
+  )
+}
+
+/**
+ * Slider and routing settings for a new conversation
+ */
+const DEFAULT_SETTINGS = {
+  efficiency: 3,
+  speed: 3,
+  complexity: 3,
+  autoComplexity: false,
+  cascade: false,
+  selfCheck: false,
+  historyStrategy: 'full',
+  historyTokens: DEFAULT_HISTORY_TOKENS,
+  // null: derived from the sliders
+  reasoningEffort: null,
+  maxOutputTokens: null,
+  // null: DEFAULT_SYSTEM_PROMPT
+  systemPrompt: null,
+  // null: the provider's default
+  temperature: null,
+  topP: null,
+  stopSequences: []
+}
+
+/**
+ * A dollar figure with its energy and carbon next to it
+ */
+function CostEnergyValue({ cost, energyWh, carbonIntensity, digits = 6 }) {
+  return (
+    <span className="savings-value">
+      ${cost.toFixed(digits)}
+      <span className="savings-energy">
+        {formatEnergy(energyWh)} · {formatCarbon(calculateCarbon(energyWh, carbonIntensity))}
+      </span>
+    </span>
+  )
+}
+
+/**
+ * Savings display showing actual cost and energy vs. the comparison model
+ */
+function SavingsDisplay({ model, stats, lastQuery, carbonIntensity, onCarbonIntensityChange }) {
+  const comparisonModel = MODELS[COMPARISON_MODEL_ID]
+  const totalSavings = stats.comparisonCost - stats.cost
+  const energySaved = stats.comparisonEnergyWh - stats.energyWh
 
   // Determine efficiency color based on model tier
-  const isEfficient = model.tier <= 2
   const statusColor = model.color
 
   // Efficiency message based on tier
@@ -273,19 +716,108 @@ function SavingsDisplay({ model, queryCount, totalSavings }) {
 
   return (
     <div className="savings-display" style={{ borderColor: statusColor }}>
-      <h3>Cost Estimates</h3>
+      <h3>Cost &amp; Energy Estimates</h3>
       <div className="savings-row">
-        <span>Cost per query:</span>
-        <span className="savings-value">${queryCost}</span>
+        <span>Est. per query:</span>
+        <CostEnergyValue
+          cost={calculateQueryCost(model)}
+          energyWh={calculateQueryEnergy(model)}
+          carbonIntensity={carbonIntensity}
+        />
       </div>
+
+      {lastQuery && (
+        <div className="savings-section">
+          <div className="savings-row">
+            <span>Last query ({MODELS[lastQuery.modelId].name}):</span>
+            <CostEnergyValue
+              cost={lastQuery.cost}
+              energyWh={lastQuery.energyWh}
+              carbonIntensity={carbonIntensity}
+            />
+          </div>
+          <div className="savings-row">
+            <span>Same query on {comparisonModel.name}:</span>
+            <CostEnergyValue
+              cost={lastQuery.comparisonCost}
+              energyWh={lastQuery.comparisonEnergyWh}
+              carbonIntensity={carbonIntensity}
+            />
+          </div>
+          <div className="savings-tokens">
+            {lastQuery.usage.promptTokens} in
+            {lastQuery.usage.cachedTokens > 0 && ` (${lastQuery.usage.cachedTokens} cached)`}
+            {' · '}
+            {lastQuery.usage.completionTokens} out
+            {lastQuery.usage.reasoningTokens > 0 && ` (${lastQuery.usage.reasoningTokens} reasoning)`}
+          </div>
+        </div>
+      )}
+
       <div className="savings-row">
         <span>Queries this session:</span>
-        <span className="savings-value">{queryCount}</span>
+        <span className="savings-value">{stats.queryCount}</span>
       </div>
-      <div className="savings-row highlight" style={{ color: '#22c55e' }}>
+      {stats.cacheHits > 0 && (
+        <div className="savings-row">
+          <span>Cache hits ({stats.cacheHits}) saved:</span>
+          <CostEnergyValue
+            cost={stats.cacheSavedCost}
+            energyWh={stats.cacheSavedEnergyWh}
+            carbonIntensity={carbonIntensity}
+            digits={4}
+          />
+        </div>
+      )}
+      {stats.escalationCount > 0 && (
+        <div className="savings-row">
+          <span>Escalations ({stats.escalationCount}):</span>
+          <span className="savings-value">${stats.escalationCost.toFixed(4)}</span>
+        </div>
+      )}
+      <div className="savings-row">
+        <span>Session:</span>
+        <CostEnergyValue
+          cost={stats.cost}
+          energyWh={stats.energyWh}
+          carbonIntensity={carbonIntensity}
+          digits={4}
+        />
+      </div>
+      <div className="savings-row">
+        <span>Session on {comparisonModel.name}:</span>
+        <CostEnergyValue
+          cost={stats.comparisonCost}
+          energyWh={stats.comparisonEnergyWh}
+          carbonIntensity={carbonIntensity}
+          digits={4}
+        />
+      </div>
+      <div
+        className="savings-row highlight"
+        style={{ color: totalSavings >= 0 ? '#22c55e' : '#ef4444' }}
+      >
         <span>Session savings:</span>
-        <span className="savings-value">${totalSavings.toFixed(4)}</span>
+        <CostEnergyValue
+          cost={totalSavings}
+          energyWh={energySaved}
+          carbonIntensity={carbonIntensity}
+          digits={4}
+        />
       </div>
+
+      <label className="carbon-setting">
+        Grid carbon intensity
+        <input
+          type="number"
+          min="0"
+          step="10"
+          value={carbonIntensity}
+          onChange={(e) => onCarbonIntensityChange(Math.max(0, Number(e.target.value) || 0))}
+        />
+        gCO₂e/kWh
+      </label>
+
       <p className="savings-note" style={{ color: statusColor }}>
         {getEfficiencyMessage()}
       </p>
@@ -294,13 +826,238 @@ function SavingsDisplay({ model, queryCount, totalSavings }) {
 }
 
 /**
- * Chat message component
+ * Trail of the tiers a message went through, with each attempt's cost
+ */
+function AttemptTrail({ attempts }) {
+  return (
+    <div className="attempt-trail">
+      {attempts.map((attempt, idx) => (
+        <span key={idx} className={`attempt attempt-${attempt.outcome}`}>
+          {idx > 0 && ' → '}
+          {MODELS[attempt.modelId].name} {ATTEMPT_OUTCOMES[attempt.outcome]}
+          {' '}(${(attempt.cost + (attempt.check?.cost || 0)).toFixed(6)})
+        </span>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Per-turn metadata under an assistant message: the model that answered,
+ * time taken, tokens and cost summed over every call the turn made
+ * (cascade attempts, self-checks and history summaries), and energy.
+ * Latency is omitted for messages saved before it was recorded.
+ */
+function MessageFooter({ modelId, attempts, summaries = [], carbonIntensity }) {
+  const calls = [
+    ...attempts,
+    ...attempts.map(attempt => attempt.check).filter(Boolean),
+    ...summaries
+  ]
+  const total = (field) => calls.reduce((sum, call) => sum + (call[field] || 0), 0)
+  const promptTokens = calls.reduce((sum, call) => sum + call.usage.promptTokens, 0)
+  const completionTokens = calls.reduce((sum, call) => sum + call.usage.completionTokens, 0)
+  const hasLatency = attempts.every(attempt => attempt.latencyMs !== undefined)
+  const { reasoningEffort } = attempts[attempts.length - 1]
+  const energyWh = total('energyWh')
+
+  return (
+    <div className="message-footer">
+      <span>{MODELS[modelId || attempts[attempts.length - 1].modelId].name}</span>
+      {reasoningEffort && <span>{reasoningEffort} effort</span>}
+      {hasLatency && <span>{(total('latencyMs') / 1000).toFixed(2)}s</span>}
+      <span>{promptTokens} in · {completionTokens} out</span>
+      <span>${total('cost').toFixed(6)}</span>
+      <span>{formatEnergy(energyWh)} · {formatCarbon(calculateCarbon(energyWh, carbonIntensity))}</span>
+    </div>
+  )
+}
+
+/**
+ * Switch between the versions of a regenerated answer, and regenerate it
+ * with any model up to maxTier
  */
-function ChatMessage({ message, isUser }) {
+function MessageVersionControls({ versionCount, activeVersion, onSelectVersion, onRegenerate, maxTier, incapableTiers }) {
+  return (
+    <div className="message-versions">
+      {versionCount > 1 && (
+        <span title="Earlier answers are kept as versions">
+          <button
+            onClick={() => onSelectVersion(activeVersion - 1)}
+            disabled={activeVersion === 0}
+            aria-label="Previous version"
+          >
+            ‹
+          </button>
+          {' '}Version {activeVersion + 1}/{versionCount}{' '}
+          <button
+            onClick={() => onSelectVersion(activeVersion + 1)}
+            disabled={activeVersion === versionCount - 1}
+            aria-label="Next version"
+          >
+            ›
+          </button>
+        </span>
+      )}
+      {onRegenerate && (
+        <select value="" onChange={(e) => onRegenerate(Number(e.target.value))}>
+          <option value="" disabled>Regenerate with…</option>
+          {MODEL_TIERS.map((modelId, idx) => (
+            <option key={modelId} value={idx + 1} disabled={idx + 1 > maxTier || incapableTiers.has(idx + 1)}>
+              {idx + 1}. {MODELS[modelId].name}{incapableTiers.has(idx + 1) ? " (can't handle this conversation)" : ''}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Rating buttons for an answer: thumbs up/down, and whether the model was
+ * too weak or overkill. Clicking the chosen one again clears it.
+ */
+function MessageRating({ feedback, onRate }) {
+  const toggle = (field, value) => onRate({ [field]: feedback?.[field] === value ? null : value })
+
+  return (
+    <div className="message-rating">
+      {Object.entries(THUMBS).map(([value, label]) => (
+        <button
+          key={value}
+          className={feedback?.thumbs === value ? 'active' : ''}
+          onClick={() => toggle('thumbs', value)}
+          aria-label={value === 'up' ? 'Good answer' : 'Bad answer'}
+        >
+          {label}
+        </button>
+      ))}
+      {Object.entries(FIT_RATINGS).map(([value, label]) => (
+        <button
+          key={value}
+          className={feedback?.fit === value ? 'active' : ''}
+          onClick={() => toggle('fit', value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Images (as thumbnails) and files attached to a message or the draft.
+ * With onRemove, each one gets a remove button.
+ */
+function AttachmentList({ attachments, onRemove }) {
+  return (
+    <div className="attachment-list">
+      {attachments.map(attachment => (
+        <span key={attachment.id} className="attachment-chip" title={`~${attachment.tokens.toLocaleString()} tokens`}>
+          {attachment.kind === 'image'
+            ? <img src={attachment.dataUrl} alt={attachment.name} />
+            : '📄 '}
+          {attachment.name}
+          <small>
+            {' '}{attachment.pages ? `${attachment.pages} page${attachment.pages === 1 ? '' : 's'}, ` : ''}
+            {formatFileSize(attachment.size)}
+          </small>
+          {onRemove && (
+            <button onClick={() => onRemove(attachment.id)} aria-label={`Remove ${attachment.name}`}>×</button>
+          )}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Chat message component. Assistant text is rendered as markdown; the
+ * user's own text is shown as typed, with anything attached.
+ */
+function ChatMessage({
+  message,
+  isUser,
+  attachments,
+  streaming,
+  stopped,
+  inferred,
+  adapted,
+  modelId,
+  attempts,
+  summaries,
+  cached,
+  versionCount = 1,
+  activeVersion = 0,
+  onSelectVersion,
+  onRegenerate,
+  onEscalate,
+  onRate,
+  feedback,
+  maxTier,
+  incapableTiers = new Set(),
+  carbonIntensity
+}) {
+  const lastTier = attempts?.length ? attempts[attempts.length - 1].tier : undefined
+  // "Try a stronger model" skips models that can't handle the conversation
+  let strongerTier = lastTier + 1
+  while (incapableTiers.has(strongerTier)) strongerTier++
+
   return (
     <div className={`chat-message ${isUser ? 'user' : 'assistant'}`}>
-      <div className="message-content">
-        {message}
+      <div className={`message-content ${streaming ? 'streaming' : ''}`}>
+        {isUser ? message : <MarkdownMessage text={message} />}
+        {attachments?.length > 0 && <AttachmentList attachments={attachments} />}
+        {stopped && <span className="message-stopped"> [stopped]</span>}
+        {inferred && (
+          <div className="message-inferred" title={inferred.reasons.join('\n')}>
+            Auto complexity {inferred.complexity}: {inferred.reasons.join(', ')}
+          </div>
+        )}
+        {adapted && (
+          <div className="message-inferred">
+            Adaptive routing: tier {adapted.from} → {adapted.to} from ratings of similar prompts ({adapted.label})
+          </div>
+        )}
+        {attempts?.map((attempt, idx) => attempt.outcome === 'unavailable' && attempts[idx + 1] && (
+          <div key={idx} className="message-notice">
+            {MODELS[attempt.modelId].name} was unavailable ({attempt.error.message}),
+            so {MODELS[attempts[idx + 1].modelId].name} was used instead.
+          </div>
+        ))}
+        {attempts?.length > 1 && <AttemptTrail attempts={attempts} />}
+        {cached && (
+          <div className="message-footer message-cached">
+            <span>⚡ Cached answer from {MODELS[modelId].name}</span>
+            {cached.similarity < 1 && <span>{Math.round(cached.similarity * 100)}% match</span>}
+            <span>saved ${cached.cost.toFixed(6)} · {formatEnergy(cached.energyWh)}</span>
+            <span>from {new Date(cached.createdAt).toLocaleString()}</span>
+          </div>
+        )}
+        {attempts?.length > 0 && (
+          <MessageFooter
+            modelId={modelId}
+            attempts={attempts}
+            summaries={summaries}
+            carbonIntensity={carbonIntensity}
+          />
+        )}
+        {onRate && <MessageRating feedback={feedback} onRate={onRate} />}
+        {onEscalate && strongerTier <= maxTier && (
+          <button className="escalate-btn" onClick={() => onEscalate(strongerTier)}>
+            Try a stronger model ({modelForTier(strongerTier).name})
+          </button>
+        )}
+        {onSelectVersion && (
+          <MessageVersionControls
+            versionCount={versionCount}
+            activeVersion={activeVersion}
+            onSelectVersion={onSelectVersion}
+            onRegenerate={onRegenerate}
+            maxTier={maxTier}
+            incapableTiers={incapableTiers}
+          />
+        )}
       </div>
     </div>
   )
@@ -309,74 +1066,475 @@ function ChatMessage({ message, isUser }) {
 /**
  * Chat interface component
  */
-function ChatInterface({ model, onQuerySent, onClearChat, messages, setMessages }) {
-  const [input, setInput] = useState('')
-  const [isLoading, setIsLoading] = useState(false)
+function ChatInterface({
+  model,
+  onQuerySent,
+  onClearChat,
+  messages,
+  setMessages,
+  input,
+  setInput,
+  attachments,
+  setAttachments,
+  needs,
+  unmetNeeds,
+  complexityInference,
+  routingSettings,
+  draftKind,
+  feedbackShift,
+  onFeedback,
+  cascade,
+  selfCheck,
+  carbonIntensity,
+  maxTier,
+  confirmSend,
+  generation,
+  cacheSettings,
+  cacheEntries,
+  onCacheHit,
+  onCacheStore,
+  historySettings,
+  historySummary,
+  setHistorySummary,
+  isLoading,
+  setIsLoading
+}) {
+  const [streamingText, setStreamingText] = useState('')
+  const [streamingModel, setStreamingModel] = useState(null)
+  // Retry or fallback in progress, shown while the request runs
+  const [requestNotice, setRequestNotice] = useState(null)
+  // Skip the response cache for the next message only
+  const [bypassCache, setBypassCache] = useState(false)
   const [error, setError] = useState(null)
+  // Files that couldn't be attached, and why
+  const [attachmentErrors, setAttachmentErrors] = useState([])
 
-  const sendMessage = async () => {
-    if (!input.trim() || isLoading) return
+  // Aborts the in-flight request when the user clicks Stop
+  const abortControllerRef = useRef(null)
 
-    const userMessage = input.trim()
-    setInput('')
-    setMessages(prev => [...prev, { text: userMessage, isUser: true }])
-    setIsLoading(true)
-    setError(null)
+  /**
+   * Apply the history strategy to `history` for a request that may use
+   * tiers startTier..maxTier (those that meet `requestNeeds`), summarizing
+   * older turns first if needed. Resolves with { apiMessages, summary },
+   * where summary is the billed summarization attempt (or null).
+   */
+  const prepareMessages = async (history, startTier, maxTier, requestNeeds, signal) => {
+    const plan = planHistory(
+      history, modelsForTiers(startTier, maxTier, requestNeeds), historySettings, historySummary
+    )
+    let summaryText = plan.summaryText
+    let summary = null
+
+    if (plan.summarizeFrom !== null) {
+      const startedAt = performance.now()
+      try {
+        const result = await summarizeHistory(
+          plan.summaryText, history.slice(plan.summarizeFrom, plan.start), signal
+        )
+        summaryText = result.text
+        summary = buildAttempt(result.model, result.usage, 'accepted')
+        summary.latencyMs = performance.now() - startedAt
+        setHistorySummary({ count: plan.start, text: result.text })
+      } catch (err) {
+        if (err.name === 'AbortError') throw err
+        // Still answer, with whatever summary there was plus the recent window
+        console.warn('Could not summarize older turns:', err)
+      }
+    }
 
-    try {
-      // Build request body - newer models (gpt-5.x, o-series) use max_completion_tokens
-      const isNewerModel = model.id.startsWith('gpt-5') || model.id.startsWith('o')
-      const requestBody = {
-        model: model.id,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant. Keep responses concise but informative.'
+    return {
+      apiMessages: toApiMessages(history.slice(plan.start), summaryText, historySettings.systemPrompt),
+      summary
+    }
+  }
+
+  /**
+   * Answer `question` (the last message in apiMessages), starting at startTier.
+   * In cascade mode, escalate up to maxTier while the answer is truncated,
+   * refused or fails the self-check; otherwise make a single attempt.
+   *
+   * A model that can't be used is recorded as an 'unavailable' attempt and
+   * a neighbouring tier answers instead (see getFallbackTier), up to
+   * MAX_FALLBACKS times. Tiers in `skipTiers` (models that can't handle
+   * the request) are never tried.
+   *
+   * Resolves with { text, attempts, stopped }. Attempts made before a
+   * Stop or an error are still returned (or attached to the error) so
+   * they can be billed.
+   */
+  const runAttempts = async (apiMessages, question, startTier, maxTier, skipTiers, signal) => {
+    const attempts = []
+    const triedTiers = new Set(skipTiers)
+    let tier = startTier
+    while (triedTiers.has(tier) && tier < maxTier) tier++
+
+    while (true) {
+      const attemptModel = modelForTier(tier)
+      triedTiers.add(tier)
+      // Text received so far, kept outside React state so a cancelled
+      // stream can still be saved as a (partial) message
+      let received = ''
+      setStreamingModel(attemptModel)
+      setStreamingText('')
+      const startedAt = performance.now()
+
+      let result
+      try {
+        result = await streamChatCompletion(attemptModel, apiMessages, {
+          generation,
+          signal,
+          onDelta: (text) => {
+            received = text
+            setStreamingText(text)
+            setRequestNotice(null)
           },
-          ...messages.map(m => ({
-            role: m.isUser ? 'user' : 'assistant',
-            content: m.text
-          })),
-          { role: 'user', content: userMessage }
-        ]
+          onRetry: ({ error, retry, delayMs }) => {
+            const { label } = describeError(error)
+            setRequestNotice(`${label} (${error.message}). Retrying ${attemptModel.name} in ${(delayMs / 1000).toFixed(1)}s (retry ${retry})…`)
+          }
+        })
+      } catch (err) {
+        // The model can't be used at all: let a neighbouring tier answer
+        const fallbackTier = !received && ERROR_CATEGORIES[err.category]?.fallback &&
+          attempts.filter(a => a.outcome === 'unavailable').length < MAX_FALLBACKS
+          ? getFallbackTier(tier, triedTiers, maxTier)
+          : null
+        if (fallbackTier) {
+          attempts.push({
+            ...buildAttempt(attemptModel, {}, 'unavailable'),
+            latencyMs: performance.now() - startedAt,
+            error: { category: err.category, message: err.message }
+          })
+          setRequestNotice(`${attemptModel.name} is unavailable (${err.message}). Trying ${modelForTier(fallbackTier).name} instead…`)
+          tier = fallbackTier
+          continue
+        }
+
+        // The provider still bills what it generated before a Stop or a
+        // dropped stream, so estimate usage since none was reported
+        const estimatedAttempt = buildAttempt(attemptModel, {
+          prompt_tokens: estimateMessageTokens(apiMessages),
+          completion_tokens: estimateTokens(received)
+        }, 'stopped')
+        estimatedAttempt.latencyMs = performance.now() - startedAt
+
+        if (err.name === 'AbortError') {
+          // Stopped by the user: keep the partial answer
+          attempts.push(estimatedAttempt)
+          return { text: received, attempts, stopped: true }
+        }
+        if (received) attempts.push(estimatedAttempt)
+        err.attempts = attempts
+        err.partialText = received
+        throw err
       }
 
-      // Use appropriate token limit parameter based on model
-      if (isNewerModel) {
-        requestBody.max_completion_tokens = 500
-      } else {
-        requestBody.max_tokens = 500
+      const attempt = buildAttempt(attemptModel, result.usage, getAttemptOutcome(result))
+      attempt.latencyMs = performance.now() - startedAt
+      attempt.reasoningEffort = getRequestLimits(attemptModel, generation).reasoningEffort
+      attempts.push(attempt)
+
+      // Escalate to the next tier up that hasn't already been tried
+      let nextTier = tier + 1
+      while (triedTiers.has(nextTier)) nextTier++
+      const canEscalate = cascade && nextTier <= maxTier
+      if (canEscalate && attempt.outcome === 'accepted' && selfCheck) {
+        const checkStartedAt = performance.now()
+        try {
+          const check = await runSelfCheck(question, result.text, signal)
+          attempt.check = {
+            passed: check.passed,
+            ...buildAttempt(check.model, check.usage, 'accepted'),
+            latencyMs: performance.now() - checkStartedAt
+          }
+          if (!check.passed) attempt.outcome = 'failed-check'
+        } catch (err) {
+          // The answer itself is complete, so a failed check just accepts it
+          if (err.name === 'AbortError') return { text: result.text, attempts, stopped: true }
+          console.warn('Self-check failed, accepting answer:', err)
+        }
       }
 
-      // Call the OpenAI API with the selected model
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${import.meta.env.VITE_OPENAI_API_KEY}`
-        },
-        body: JSON.stringify(requestBody)
-      })
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error?.message || `API error: ${response.status}`)
+      if (!canEscalate || attempt.outcome === 'accepted') {
+        return { text: result.text || result.refusal, attempts, stopped: false }
       }
+      tier = nextTier
+    }
+  }
+
+  /**
+   * Run a request for `history` and bill it. Shared by Send, "Try a
+   * stronger model" and Regenerate; onDone receives the text, attempts,
+   * whether it was stopped, and any history summarization attempt.
+   * `billing` ({ isRetry, isEscalation, supersededCost }) is passed on to
+   * onQuerySent.
+   */
+  const runRequest = async (history, startTier, maxTier, billing = {}, onDone) => {
+    setIsLoading(true)
+    setStreamingText('')
+    setError(null)
 
-      const data = await response.json()
-      const assistantMessage = data.choices[0].message.content
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    let summary = null
 
-      setMessages(prev => [...prev, { text: assistantMessage, isUser: false }])
-      onQuerySent(model)  // Pass the model used for savings calculation
+    // Models that can't take the conversation's images, or its newest message
+    const requestNeeds = getRequestNeeds(history, {
+      systemPrompt: historySettings.systemPrompt,
+      maxOutputTokens: generation.maxOutputTokens
+    })
 
+    try {
+      const prepared = await prepareMessages(history, startTier, maxTier, requestNeeds, controller.signal)
+      summary = prepared.summary
+      const { text, attempts, stopped } = await runAttempts(
+        prepared.apiMessages,
+        history[history.length - 1].text,
+        startTier,
+        maxTier,
+        getIncapableTiers(requestNeeds),
+        controller.signal
+      )
+      if (text) onDone(text, attempts, stopped, summary)
+      onQuerySent({ ...billing, attempts, summary })  // Bill from the reported token usage
     } catch (err) {
-      setError(err.message)
+      // Keep any text that streamed in before the failure, and bill
+      // the attempts that completed
+      if (err.partialText) onDone(err.partialText, err.attempts, true, summary)
+      if (err.attempts?.some(a => a.outcome !== 'unavailable')) {
+        onQuerySent({ ...billing, attempts: err.attempts, summary })
+      }
+      // Stopping during summarization is not an error
+      if (err.name !== 'AbortError') setError(describeError(err))
       console.error('API Error:', err)
     } finally {
+      abortControllerRef.current = null
+      setStreamingText('')
+      setStreamingModel(null)
+      setRequestNotice(null)
       setIsLoading(false)
     }
   }
 
+  // Tiers a new message may use, and what its request will carry
+  const requestRange = cascade
+    ? getCascadeRange(model.tier, needs)
+    : { startTier: model.tier, maxTier: model.tier }
+  const hasDraft = input.trim() !== '' || attachments.length > 0
+  const draftHistory = hasDraft ? [...messages, { text: input.trim(), isUser: true, attachments }] : messages
+  const nextRequest = draftHistory.length > 0
+    ? planHistory(
+      draftHistory,
+      modelsForTiers(requestRange.startTier, requestRange.maxTier, needs),
+      historySettings,
+      historySummary
+    )
+    : null
+
+  // Where the draft's answer would sit in the response cache, and whether
+  // one is already there. Prompts with attachments aren't cached, since
+  // the same words can come with different files.
+  const cacheLookup = cacheSettings.enabled && input.trim() && attachments.length === 0
+    ? {
+      prompt: input.trim(),
+      contextHash: hashContext(messages),
+      routeKey: getRouteKey({ modelId: model.id, cascade, generation, systemPrompt: historySettings.systemPrompt })
+    }
+    : null
+  const cacheHitAvailable = cacheLookup && !bypassCache &&
+    findCachedResponse(cacheEntries, cacheLookup, cacheSettings.matchMode) !== null
+
+  const sendMessage = async () => {
+    if (!hasDraft || isLoading || unmetNeeds.length > 0) return
+
+    // A cached answer costs nothing, so it needs no budget check
+    const cached = cacheLookup && !bypassCache
+      ? findCachedResponse(cacheEntries, cacheLookup, cacheSettings.matchMode)
+      : null
+    if (!cached && !confirmSend(nextRequest.tokens, [model])) return
+    setBypassCache(false)
+
+    const userMessage = {
+      text: input.trim(),
+      isUser: true,
+      attachments: attachments.length > 0 ? attachments : undefined,
+      createdAt: Date.now(),
+      // The sliders it was sent with, for ratings of the answer
+      sliders: routingSettings,
+      adapted: feedbackShift
+        ? { kind: draftKind.key, label: draftKind.label, from: feedbackShift.from, to: feedbackShift.to }
+        : undefined,
+      // Record what Auto mode inferred so the choice stays visible in the history
+      inferred: complexityInference
+        ? { complexity: complexityInference.complexity, reasons: complexityInference.reasons }
+        : undefined
+    }
+    setInput('')
+    setAttachments([])
+    setAttachmentErrors([])
+
+    if (cached) {
+      setMessages(prev => [...prev, userMessage, {
+        text: cached.text,
+        isUser: false,
+        modelId: cached.modelId,
+        attempts: [],
+        cached: {
+          createdAt: cached.createdAt,
+          cost: cached.cost,
+          energyWh: cached.energyWh,
+          similarity: cached.similarity
+        },
+        createdAt: Date.now()
+      }])
+      onCacheHit(cached)
+      return
+    }
+
+    setMessages(prev => [...prev, userMessage])
+    const { startTier, maxTier } = requestRange
+
+    await runRequest([...messages, userMessage], startTier, maxTier, {}, (text, attempts, stopped, summary) => {
+      setMessages(prev => [...prev, {
+        text,
+        isUser: false,
+        modelId: attempts[attempts.length - 1].modelId,
+        stopped,
+        attempts,
+        summaries: summary ? [summary] : undefined,
+        createdAt: Date.now()
+      }])
+      // Only complete, accepted answers are worth reusing
+      if (cacheLookup && !stopped && attempts[attempts.length - 1].outcome === 'accepted') {
+        onCacheStore(cacheLookup, {
+          text,
+          modelId: attempts[attempts.length - 1].modelId,
+          cost: attempts.reduce((sum, a) => sum + a.cost + (a.check?.cost || 0), 0),
+          energyWh: attempts.reduce((sum, a) => sum + a.energyWh + (a.check?.energyWh || 0), 0)
+        })
+      }
+    })
+  }
+
+  /**
+   * "Try a stronger model": re-answer an assistant message at `startTier`,
+   * the next tier up that can handle the conversation. In cascade mode it
+   * may keep escalating from there if needed.
+   */
+  const escalateMessage = async (idx, startTier) => {
+    if (isLoading) return
+
+    const previous = messages[idx]
+    const previousAttempts = previous.attempts
+    const lastAttempt = previousAttempts[previousAttempts.length - 1]
+    const history = messages.slice(0, idx)
+    const plan = planHistory(history, [modelForTier(startTier)], historySettings, historySummary)
+    if (!confirmSend(plan.tokens, [modelForTier(startTier)])) return
+
+    await runRequest(
+      history,
+      startTier,
+      cascade ? maxTier : startTier,
+      { isRetry: true, isEscalation: true, supersededCost: lastAttempt.cost },
+      (text, attempts, stopped, summary) => {
+        setMessages(prev => prev.map((m, i) => i !== idx ? m : updateActiveVersion(m, {
+          text,
+          modelId: attempts[attempts.length - 1].modelId,
+          stopped,
+          // A rating was of the weaker answer, and stays recorded as such
+          feedback: undefined,
+          summaries: summary ? [...(m.summaries || []), summary] : m.summaries,
+          attempts: [
+            ...previousAttempts.slice(0, -1),
+            { ...lastAttempt, outcome: 'user-escalated' },
+            ...attempts
+          ]
+        })))
+      }
+    )
+  }
+
+  /**
+   * Regenerate an assistant message with the model at `tier`, keeping the
+   * current answer as an earlier version. Unlike "Try a stronger model"
+   * the chosen tier is used as-is, with no cascade.
+   */
+  const regenerateMessage = async (idx, tier) => {
+    if (isLoading) return
+
+    const tierModel = modelForTier(tier)
+    const history = messages.slice(0, idx)
+    const plan = planHistory(history, [tierModel], historySettings, historySummary)
+    if (!confirmSend(plan.tokens, [tierModel])) return
+
+    await runRequest(history, tier, tier, { isRetry: true }, (text, attempts, stopped, summary) => {
+      setMessages(prev => prev.map((m, i) => i !== idx ? m : addMessageVersion(m, {
+        text,
+        modelId: attempts[attempts.length - 1].modelId,
+        stopped,
+        attempts,
+        summaries: summary ? [summary] : undefined,
+        createdAt: Date.now()
+      })))
+    })
+  }
+
+  /**
+   * Rate the answer at `idx` (`change` sets thumbs and/or fit) and record
+   * the rating with the question's features, sliders and the model used
+   */
+  const rateMessage = (idx, change) => {
+    const answer = messages[idx]
+    const question = messages[idx - 1]
+    const lastAttempt = answer.attempts[answer.attempts.length - 1]
+    const feedback = { id: crypto.randomUUID(), thumbs: null, fit: null, ...answer.feedback, ...change }
+    onFeedback({
+      id: feedback.id,
+      prompt: question.text,
+      history: messages.slice(0, idx - 1),
+      settings: question.sliders ?? routingSettings,
+      modelId: lastAttempt.modelId,
+      tier: lastAttempt.tier,
+      thumbs: feedback.thumbs,
+      fit: feedback.fit
+    })
+    setMessages(prev => prev.map((m, i) => i !== idx ? m : updateActiveVersion(m, { feedback })))
+  }
+
+  const selectVersion = (idx, version) => {
+    setMessages(prev => prev.map((m, i) => i !== idx ? m : selectMessageVersion(m, version)))
+  }
+
+  const stopMessage = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  /**
+   * Read picked files into draft attachments, up to MAX_ATTACHMENTS
+   */
+  const handleAttach = async (e) => {
+    const files = [...e.target.files]
+    e.target.value = ''
+    const room = MAX_ATTACHMENTS - attachments.length
+    const errors = files.length > room ? [`A message can have up to ${MAX_ATTACHMENTS} attachments`] : []
+    const read = []
+    for (const file of files.slice(0, room)) {
+      try {
+        read.push(await readAttachment(file))
+      } catch (err) {
+        errors.push(err.message)
+      }
+    }
+    setAttachments(prev => [...prev, ...read])
+    setAttachmentErrors(errors)
+  }
+
+  // Why the draft can't be sent, when no model in reach can handle it
+  const blockedReason = unmetNeeds.length > 0
+    ? `No model${maxTier < MODEL_TIERS.length ? ' within the budget cap' : ''} can ` +
+      `${unmetNeeds.map(need => NEED_PHRASES[need]).join(' or ')}.`
+    : null
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -411,25 +1569,100 @@ function ChatInterface({ model, onQuerySent, onClearChat, messages, setMessages
           </div>
         )}
         {messages.map((msg, idx) => (
-          <ChatMessage key={idx} message={msg.text} isUser={msg.isUser} />
+          <ChatMessage
+            key={idx}
+            message={msg.text}
+            isUser={msg.isUser}
+            attachments={msg.attachments}
+            stopped={msg.stopped}
+            inferred={msg.inferred}
+            adapted={msg.adapted}
+            feedback={msg.feedback}
+            modelId={msg.modelId}
+            attempts={msg.attempts}
+            summaries={msg.summaries}
+            cached={msg.cached}
+            versionCount={getMessageVersions(msg).length}
+            activeVersion={msg.activeVersion}
+            carbonIntensity={carbonIntensity}
+            maxTier={maxTier}
+            incapableTiers={!msg.isUser && msg.attempts
+              ? getIncapableTiers(getRequestNeeds(messages.slice(0, idx), {
+                systemPrompt: historySettings.systemPrompt,
+                maxOutputTokens: generation.maxOutputTokens
+              }))
+              : undefined}
+            onEscalate={!msg.isUser && msg.attempts && !isLoading
+              ? (tier) => escalateMessage(idx, tier)
+              : undefined}
+            onRate={!msg.isUser && msg.attempts?.length > 0 && idx > 0
+              ? (change) => rateMessage(idx, change)
+              : undefined}
+            onSelectVersion={!msg.isUser && msg.attempts
+              ? (version) => selectVersion(idx, version)
+              : undefined}
+            onRegenerate={!msg.isUser && msg.attempts && !isLoading
+              ? (tier) => regenerateMessage(idx, tier)
+              : undefined}
+          />
         ))}
         {isLoading && (
-          <div className="chat-message assistant">
-            <div className="message-content loading">
-              Thinking...
-            </div>
-          </div>
+          <>
+            {cascade && streamingModel && (
+              <div className="cascade-status">
+                Trying {streamingModel.name} (tier {streamingModel.tier})…
+              </div>
+            )}
+            {requestNotice && <div className="cascade-status">{requestNotice}</div>}
+            {streamingText ? (
+              <ChatMessage message={streamingText} isUser={false} streaming />
+            ) : (
+              <div className="chat-message assistant">
+                <div className="message-content loading">
+                  Thinking...
+                </div>
+              </div>
+            )}
+          </>
         )}
         {error && (
           <div className="chat-error">
-            Error: {error}
-            <br />
-            <small>Make sure VITE_OPENAI_API_KEY is set in your .env file</small>
+            <strong>{error.label}:</strong> {error.message}
+            {error.hint && (
+              <>
+                <br />
+                <small>{error.hint}</small>
+              </>
+            )}
           </div>
         )}
       </div>
 
+      {attachments.length > 0 && (
+        <AttachmentList
+          attachments={attachments}
+          onRemove={(id) => setAttachments(prev => prev.filter(a => a.id !== id))}
+        />
+      )}
+      {attachmentErrors.length > 0 && (
+        <ul className="policy-errors">
+          {attachmentErrors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
       <div className="chat-input-container">
+        <label
+          className={`attach-button ${isLoading || attachments.length >= MAX_ATTACHMENTS ? 'disabled' : ''}`}
+          title="Attach images, text files or PDFs"
+        >
+          📎
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_FILES}
+            onChange={handleAttach}
+            disabled={isLoading || attachments.length >= MAX_ATTACHMENTS}
+          />
+        </label>
         <input
           type="text"
           value={input}
@@ -439,15 +1672,49 @@ function ChatInterface({ model, onQuerySent, onClearChat, messages, setMessages
           className="chat-input"
           disabled={isLoading}
         />
-        <button
-          onClick={sendMessage}
-          disabled={isLoading || !input.trim()}
-          className="send-button"
-          style={{ backgroundColor: model.color }}
-        >
-          Send
-        </button>
+        {isLoading ? (
+          <button
+            onClick={stopMessage}
+            className="send-button stop-button"
+            title="Stop generating and keep the text received so far"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={sendMessage}
+            disabled={!hasDraft || blockedReason !== null}
+            title={blockedReason ?? undefined}
+            className="send-button"
+            style={{ backgroundColor: model.color }}
+          >
+            Send
+          </button>
+        )}
       </div>
+      {blockedReason && hasDraft && <div className="chat-error">{blockedReason}</div>}
+      {nextRequest && (
+        <div className={`context-meter ${nextRequest.tokens > nextRequest.contextLimit ? 'over' : ''}`}>
+          Next request: ~{nextRequest.tokens.toLocaleString()} tokens
+          {' '}(limit {nextRequest.contextLimit.toLocaleString()})
+          {nextRequest.start > 0 && (
+            nextRequest.summaryText || nextRequest.summarizeFrom !== null
+              ? ` · ${nextRequest.start} earlier messages summarized`
+              : ` · ${nextRequest.start} earlier messages left out`
+          )}
+          {cacheHitAvailable && ' · cached answer available (no cost)'}
+        </div>
+      )}
+      {cacheSettings.enabled && (
+        <label className="cache-bypass">
+          <input
+            type="checkbox"
+            checked={bypassCache}
+            onChange={(e) => setBypassCache(e.target.checked)}
+          />
+          Bypass cache for the next message
+        </label>
+      )}
     </div>
   )
 }
@@ -458,30 +1725,305 @@ function ChatInterface({ model, onQuerySent, onClearChat, messages, setMessages
 
 function App() {
   // Slider states (1-5 scale)
-  const [efficiency, setEfficiency] = useState(3)
-  const [speed, setSpeed] = useState(3)
-  const [complexity, setComplexity] = useState(3)
+  const [efficiency, setEfficiency] = useState(DEFAULT_SETTINGS.efficiency)
+  const [speed, setSpeed] = useState(DEFAULT_SETTINGS.speed)
+  const [complexity, setComplexity] = useState(DEFAULT_SETTINGS.complexity)
+
+  // Auto mode infers complexity from each prompt instead of using the slider
+  const [autoComplexity, setAutoComplexity] = useState(DEFAULT_SETTINGS.autoComplexity)
 
-  // Chat messages (lifted up so we can reset from parent)
+  // Chat messages and draft (lifted up so we can reset from parent,
+  // and so Auto mode can score the draft before it is sent)
   const [messages, setMessages] = useState([])
+  const [input, setInput] = useState('')
+  // Files attached to the draft, which route it to a model that can read them
+  const [attachments, setAttachments] = useState([])
+
+  // Cascade mode starts at tier 1 and escalates only when needed
+  const [cascade, setCascade] = useState(DEFAULT_SETTINGS.cascade)
+  const [selfCheck, setSelfCheck] = useState(DEFAULT_SETTINGS.selfCheck)
+
+  // How much earlier conversation each request carries (see history.js),
+  // and the running summary of turns that fell out of the window
+  const [historyStrategy, setHistoryStrategy] = useState(DEFAULT_SETTINGS.historyStrategy)
+  const [historyTokens, setHistoryTokens] = useState(DEFAULT_SETTINGS.historyTokens)
+  const [reasoningEffort, setReasoningEffort] = useState(DEFAULT_SETTINGS.reasoningEffort)
+  const [maxOutputTokens, setMaxOutputTokens] = useState(DEFAULT_SETTINGS.maxOutputTokens)
+  const [systemPrompt, setSystemPrompt] = useState(DEFAULT_SETTINGS.systemPrompt)
+  const [temperature, setTemperature] = useState(DEFAULT_SETTINGS.temperature)
+  const [topP, setTopP] = useState(DEFAULT_SETTINGS.topP)
+  const [stopSequences, setStopSequences] = useState(DEFAULT_SETTINGS.stopSequences)
+  const [historySummary, setHistorySummary] = useState(null)
+
+  // Query tracking for savings calculation (from reported token usage)
+  const [stats, setStats] = useState(EMPTY_SESSION_STATS)
+  const [lastQuery, setLastQuery] = useState(null)
+
+  // Grid carbon intensity (gCO2e/kWh) for converting energy to emissions
+  const [carbonIntensity, setCarbonIntensity] = useState(DEFAULT_CARBON_INTENSITY)
+
+  // Saved conversations; the active one's fields live in the state above.
+  // The list entry for the active conversation is refreshed when switching away.
+  const [conversations, setConversations] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [title, setTitle] = useState('')
+  const [createdAt, setCreatedAt] = useState(() => Date.now())
+  const [isLoaded, setIsLoaded] = useState(false)
+
+  // A request is in flight (lifted so switching conversations can wait for it)
+  const [isLoading, setIsLoading] = useState(false)
 
-  // Query tracking for savings calculation
-  const [queryCount, setQueryCount] = useState(0)
-  const [totalSavings, setTotalSavings] = useState(0)
+  // Budgets and the spend ledger they're measured against. These span all
+  // conversations, so they live in localStorage rather than IndexedDB.
+  const [budgets, setBudgets] = useState(loadBudgets)
+  const [ledger, setLedger] = useState(loadLedger)
+  const [overrideLog, setOverrideLog] = useState(loadOverrideLog)
+
+  // The user confirmed going past a used-up budget for the next message
+  const [budgetOverride, setBudgetOverride] = useState(false)
+
+  // Ratings and comparison winners (see preferenceSignals.js), and whether
+  // ratings adapt routing
+  const [signals, setSignals] = useState(loadPreferenceSignals)
+  const [adaptiveRouting, setAdaptiveRouting] = useState(loadAdaptiveRouting)
+
+  // Response cache: settings and the unexpired answers (both in localStorage)
+  const [cacheSettings, setCacheSettings] = useState(loadCacheSettings)
+  const [cacheEntries, setCacheEntries] = useState(() => loadCache(cacheSettings.ttlHours))
+
+  // Routing policies (the built-in default plus the user's) and which is in use
+  const [policies, setPolicies] = useState(loadPolicies)
+  const [activePolicyId, setActivePolicyId] = useState(loadActivePolicyId)
+  const activePolicy = policies.find(p => p.id === activePolicyId) || DEFAULT_POLICY
+
+  // Named presets (built-in and the user's), and the setup a shared link
+  // was opened with, until it's saved or dismissed
+  const [presets, setPresets] = useState(loadPresets)
+  const [sharedSetup, setSharedSetup] = useState(null)
+
+  /**
+   * Snapshot of the active conversation, as stored in IndexedDB
+   */
+  const getActiveConversation = () => ({
+    id: activeId,
+    title,
+    createdAt,
+    settings: {
+      efficiency, speed, complexity, autoComplexity, cascade, selfCheck, historyStrategy, historyTokens,
+      reasoningEffort, maxOutputTokens, systemPrompt, temperature, topP, stopSequences
+    },
+    messages,
+    historySummary,
+    stats,
+    lastQuery
+  })
 
-  // Determine current model based on slider values
-  const { model, preferenceCode } = selectModel(efficiency, speed, complexity)
+  /**
+   * Load a stored conversation into the active state
+   */
+  const applyConversation = (conversation) => {
+    const { settings } = conversation
+    setActiveId(conversation.id)
+    setTitle(conversation.title)
+    setCreatedAt(conversation.createdAt)
+    setEfficiency(settings.efficiency)
+    setSpeed(settings.speed)
+    setComplexity(settings.complexity)
+    setAutoComplexity(settings.autoComplexity)
+    setCascade(settings.cascade)
+    setSelfCheck(settings.selfCheck)
+    // Conversations saved before history settings existed use the defaults
+    setHistoryStrategy(settings.historyStrategy ?? DEFAULT_SETTINGS.historyStrategy)
+    setHistoryTokens(settings.historyTokens ?? DEFAULT_SETTINGS.historyTokens)
+    setReasoningEffort(settings.reasoningEffort ?? DEFAULT_SETTINGS.reasoningEffort)
+    setMaxOutputTokens(settings.maxOutputTokens ?? DEFAULT_SETTINGS.maxOutputTokens)
+    setSystemPrompt(settings.systemPrompt ?? DEFAULT_SETTINGS.systemPrompt)
+    setTemperature(settings.temperature ?? DEFAULT_SETTINGS.temperature)
+    setTopP(settings.topP ?? DEFAULT_SETTINGS.topP)
+    setStopSequences(settings.stopSequences ?? DEFAULT_SETTINGS.stopSequences)
+    setHistorySummary(conversation.historySummary ?? null)
+    setMessages(conversation.messages)
+    setStats(conversation.stats || EMPTY_SESSION_STATS)
+    setLastQuery(conversation.lastQuery)
+    setInput('')
+    setAttachments([])
+  }
+
+  /**
+   * Apply a preset's (or shared link's) settings to the active conversation
+   */
+  const applyPresetSettings = (settings) => {
+    setEfficiency(settings.efficiency)
+    setSpeed(settings.speed)
+    setComplexity(settings.complexity)
+    setAutoComplexity(settings.autoComplexity)
+    setCascade(settings.cascade)
+    setReasoningEffort(settings.reasoningEffort)
+    setMaxOutputTokens(settings.maxOutputTokens)
+    setSystemPrompt(settings.systemPrompt)
+  }
+
+  // Restore saved conversations on startup (or start the first one)
+  useEffect(() => {
+    listConversations().then((saved) => {
+      if (saved.length > 0) {
+        setConversations(saved)
+        applyConversation(saved[0])
+      } else {
+        const conversation = createConversation(DEFAULT_SETTINGS)
+        setConversations([conversation])
+        applyConversation(conversation)
+      }
+
+      // A shared link's setup applies on top of the restored conversation.
+      // Its policy only applies if the user has it (built-in or imported),
+      // and a setup that isn't one of their presets is offered for saving.
+      const shared = setupFromQuery(window.location.search)
+      if (shared) {
+        applyPresetSettings(shared.settings)
+        if (shared.policyId && loadPolicies().some(p => p.id === shared.policyId)) {
+          setActivePolicyId(shared.policyId)
+          saveActivePolicyId(shared.policyId)
+        }
+        if (!loadPresets().some(p => matchesPreset(p, shared.settings))) setSharedSetup(shared)
+      }
+      setIsLoaded(true)
+    }).catch((err) => console.error('Could not load conversations:', err))
+  }, [])
+
+  // Save the active conversation whenever any of its parts change
+  useEffect(() => {
+    if (!isLoaded) return
+    saveConversation({
+      id: activeId,
+      title,
+      createdAt,
+      settings: {
+        efficiency, speed, complexity, autoComplexity, cascade, selfCheck, historyStrategy, historyTokens,
+        reasoningEffort, maxOutputTokens, systemPrompt, temperature, topP, stopSequences
+      },
+      messages,
+      historySummary,
+      stats,
+      lastQuery
+    }).catch((err) => console.error('Could not save conversation:', err))
+  }, [
+    isLoaded, activeId, title, createdAt,
+    efficiency, speed, complexity, autoComplexity, cascade, selfCheck, historyStrategy, historyTokens,
+    reasoningEffort, maxOutputTokens, systemPrompt, temperature, topP, stopSequences,
+    messages, historySummary, stats, lastQuery
+  ])
+
+  // The preset the settings match, if any, and a link that reproduces them
+  const presetSettings = pickPresetSettings({
+    efficiency, speed, complexity, autoComplexity, cascade, reasoningEffort, maxOutputTokens, systemPrompt
+  })
+  const currentPreset = presets.find(p => matchesPreset(p, presetSettings)) || null
+  const shareQuery = setupToQuery({
+    presetName: currentPreset?.name,
+    policyId: activePolicy.id === DEFAULT_POLICY.id ? null : activePolicy.id,
+    settings: presetSettings
+  })
+
+  // Keep the address bar in step, so the page's URL is always shareable
+  useEffect(() => {
+    if (!isLoaded) return
+    const url = `${window.location.pathname}${shareQuery ? `?${shareQuery}` : ''}${window.location.hash}`
+    window.history.replaceState(null, '', url)
+  }, [isLoaded, shareQuery])
+
+  // In Auto mode the draft's inferred complexity applies to this message only;
+  // the slider value is left alone for when Auto is turned off
+  const complexityInference = autoComplexity && input.trim()
+    ? inferComplexity(input, messages)
+    : null
+  const effectiveComplexity = complexityInference
+    ? complexityInference.complexity
+    : complexity
+
+  // Budgets cap the tier as they're used up (unless overridden for this message)
+  const budgetStatuses = getBudgetStatus(budgets, ledger, MODEL_TIERS.length)
+  const budgetTierCap = getBudgetTierCap(budgetStatuses, MODEL_TIERS.length)
+  const maxTier = budgetOverride ? MODEL_TIERS.length : budgetTierCap
+
+  // What the draft needs from its model: vision if the conversation has
+  // images, and room for the draft, its attachments and the answer
+  const needs = getRequestNeeds([...messages, { text: input, isUser: true, attachments }], {
+    systemPrompt,
+    maxOutputTokens: maxOutputTokens ?? deriveGeneration({ efficiency, speed }).maxOutputTokens
+  })
+
+  // In adaptive mode, ratings of prompts like the draft move its tier
+  const draftKind = input.trim() ? getPromptKind(input, messages) : null
+  const feedback = adaptiveRouting && draftKind ? feedbackFor(signals, draftKind.key) : undefined
+
+  // Determine current model from the sliders, the draft and budget use
+  const routingContext = {
+    efficiency,
+    speed,
+    complexity: effectiveComplexity,
+    budgetUsed: budgetStatuses.reduce((max, s) => Math.max(max, s.fraction), 0),
+    needs,
+    feedback,
+    ...extractPromptFeatures(input, messages)
+  }
+  const {
+    model,
+    trace,
+    budgetLimitedFrom,
+    feedbackShift,
+    capabilityShift,
+    unmetNeeds,
+    generation: derivedGeneration
+  } = selectModel(activePolicy, routingContext, maxTier)
+  // Reasoning effort and answer length, unless overridden, come with the route
+  const generation = {
+    reasoningEffort: reasoningEffort ?? derivedGeneration.reasoningEffort,
+    maxOutputTokens: maxOutputTokens ?? derivedGeneration.maxOutputTokens,
+    temperature,
+    topP,
+    stop: parseStopSequences(stopSequences)
+  }
 
   /**
-   * Reset everything to defaults
+   * Put the system prompt, sampling parameters and generation overrides
+   * back to their defaults, leaving the sliders and history alone
+   */
+  const handleResetPromptSettings = () => {
+    setReasoningEffort(DEFAULT_SETTINGS.reasoningEffort)
+    setMaxOutputTokens(DEFAULT_SETTINGS.maxOutputTokens)
+    setSystemPrompt(DEFAULT_SETTINGS.systemPrompt)
+    setTemperature(DEFAULT_SETTINGS.temperature)
+    setTopP(DEFAULT_SETTINGS.topP)
+    setStopSequences(DEFAULT_SETTINGS.stopSequences)
+  }
+  const promptSettingsAreDefault = reasoningEffort === null && maxOutputTokens === null &&
+    systemPrompt === null && temperature === null && topP === null && stopSequences.length === 0
+
+  /**
+   * Reset the active conversation to defaults
    */
   const handleReset = () => {
-    setEfficiency(3)
-    setSpeed(3)
-    setComplexity(3)
+    setEfficiency(DEFAULT_SETTINGS.efficiency)
+    setSpeed(DEFAULT_SETTINGS.speed)
+    setComplexity(DEFAULT_SETTINGS.complexity)
+    setAutoComplexity(DEFAULT_SETTINGS.autoComplexity)
+    setCascade(DEFAULT_SETTINGS.cascade)
+    setSelfCheck(DEFAULT_SETTINGS.selfCheck)
+    setHistoryStrategy(DEFAULT_SETTINGS.historyStrategy)
+    setHistoryTokens(DEFAULT_SETTINGS.historyTokens)
+    setReasoningEffort(DEFAULT_SETTINGS.reasoningEffort)
+    setMaxOutputTokens(DEFAULT_SETTINGS.maxOutputTokens)
+    setSystemPrompt(DEFAULT_SETTINGS.systemPrompt)
+    setTemperature(DEFAULT_SETTINGS.temperature)
+    setTopP(DEFAULT_SETTINGS.topP)
+    setStopSequences(DEFAULT_SETTINGS.stopSequences)
+    setHistorySummary(null)
     setMessages([])
-    setQueryCount(0)
-    setTotalSavings(0)
+    setInput('')
+    setAttachments([])
+    setStats(EMPTY_SESSION_STATS)
+    setLastQuery(null)
   }
 
   /**
@@ -489,34 +2031,212 @@ function App() {
    */
   const handleClearChat = () => {
     setMessages([])
+    setHistorySummary(null)
   }
 
   /**
-   * When user picks a model directly from dropdown,
-   * adjust sliders to values that would produce that model
+   * Start a new conversation, keeping the current slider settings
    */
-  const handleModelSelect = (modelId) => {
-    const tier = MODEL_TIERS.indexOf(modelId) + 1
-
-    // Set sliders to values that would select this tier
-    // These are "suggested" slider positions for each model
-    const sliderPresets = {
-      'gpt-4.1-nano': { efficiency: 5, speed: 5, complexity: 1 },
-      'gpt-4.1-mini': { efficiency: 4, speed: 4, complexity: 2 },
-      'o4-mini':      { efficiency: 3, speed: 5, complexity: 4 },  // Fast reasoning
-      'gpt-4.1':      { efficiency: 2, speed: 3, complexity: 3 },
-      'gpt-5-mini':   { efficiency: 2, speed: 3, complexity: 4 },
-      'gpt-5.2':      { efficiency: 1, speed: 2, complexity: 5 },
+  const handleCreateConversation = () => {
+    if (isLoading) return
+    const conversation = createConversation(getActiveConversation().settings)
+    setConversations(prev => [
+      conversation,
+      ...prev.map(c => c.id === activeId ? getActiveConversation() : c)
+    ])
+    applyConversation(conversation)
+  }
+
+  /**
+   * Switch to another saved conversation
+   */
+  const handleSwitchConversation = (id) => {
+    if (isLoading || id === activeId) return
+    const target = conversations.find(c => c.id === id)
+    setConversations(prev => prev.map(c => c.id === activeId ? getActiveConversation() : c))
+    applyConversation(target)
+  }
+
+  const handleRenameConversation = (id, newTitle) => {
+    if (id === activeId) {
+      setTitle(newTitle)
+      return
+    }
+    const renamed = { ...conversations.find(c => c.id === id), title: newTitle }
+    setConversations(prev => prev.map(c => c.id === id ? renamed : c))
+    saveConversation(renamed).catch((err) => console.error('Could not save conversation:', err))
+  }
+
+  /**
+   * Delete a conversation; deleting the active one moves to the next
+   * (or a fresh conversation if it was the last)
+   */
+  const handleDeleteConversation = (id) => {
+    if (isLoading) return
+    deleteConversation(id).catch((err) => console.error('Could not delete conversation:', err))
+    const remaining = conversations.filter(c => c.id !== id)
+
+    if (id !== activeId) {
+      setConversations(remaining)
+      return
     }
+    const next = remaining[0] || createConversation(getActiveConversation().settings)
+    setConversations(remaining.length > 0 ? remaining : [next])
+    applyConversation(next)
+  }
+
+  /**
+   * Moving the Complexity slider is a manual override, so it leaves Auto mode
+   */
+  const handleComplexityChange = (value) => {
+    setComplexity(value)
+    setAutoComplexity(false)
+  }
 
-    const preset = sliderPresets[modelId]
+  /**
+   * When user picks a model directly from dropdown, move the sliders to
+   * those of the first preset that routes to it under the active policy
+   * (or, failing that, the built-in one that does under the Default policy)
+   */
+  const handleModelSelect = (modelId) => {
+    const routesTo = (policy) => (preset) => {
+      const { efficiency, speed, complexity } = preset.settings
+      return selectModel(policy, { ...routingContext, efficiency, speed, complexity }).model.id === modelId
+    }
+    const preset = presets.find(routesTo(activePolicy)) || BUILT_IN_PRESETS.find(routesTo(DEFAULT_POLICY))
     if (preset) {
-      setEfficiency(preset.efficiency)
-      setSpeed(preset.speed)
-      setComplexity(preset.complexity)
+      setEfficiency(preset.settings.efficiency)
+      setSpeed(preset.settings.speed)
+      handleComplexityChange(preset.settings.complexity)
     }
   }
 
+  const updatePresets = (next) => {
+    setPresets(next)
+    savePresets(next)
+  }
+
+  /**
+   * Save the current settings as a preset, replacing `replaceId` if given
+   */
+  const handleSavePreset = (name, replaceId) => {
+    const preset = { id: replaceId || crypto.randomUUID(), name, settings: presetSettings }
+    updatePresets(replaceId
+      ? presets.map(p => p.id === replaceId ? preset : p)
+      : [...presets, preset])
+  }
+
+  const handleDeletePreset = (id) => {
+    updatePresets(presets.filter(p => p.id !== id))
+  }
+
+  const handleImportPresets = (imported) => {
+    updatePresets([...presets, ...imported])
+  }
+
+  const handleActivatePolicy = (id) => {
+    setActivePolicyId(id)
+    saveActivePolicyId(id)
+  }
+
+  const updatePolicies = (next) => {
+    setPolicies(next)
+    savePolicies(next)
+  }
+
+  /**
+   * Add a policy, or replace the one with the same ID
+   */
+  const handleSavePolicy = (policy) => {
+    updatePolicies(policies.some(p => p.id === policy.id)
+      ? policies.map(p => p.id === policy.id ? policy : p)
+      : [...policies, policy])
+  }
+
+  const handleDeletePolicy = (id) => {
+    updatePolicies(policies.filter(p => p.id !== id))
+    if (id === activePolicyId) handleActivatePolicy(DEFAULT_POLICY.id)
+  }
+
+  const handleBudgetsChange = (next) => {
+    setBudgets(next)
+    saveBudgets(next)
+  }
+
+  /**
+   * Let the next message ignore the tier cap of used-up budgets,
+   * after explicit confirmation. Every override is logged.
+   */
+  const handleBudgetOverride = () => {
+    const exhausted = budgetStatuses.filter(s => s.exhausted)
+    const names = exhausted.map(s => describeBudget(s.budget)).join(' and ')
+    const requested = selectModel(activePolicy, routingContext).model
+
+    if (!window.confirm(`Your ${names} is used up. Allow the next message to use ${requested.name} anyway?`)) return
+
+    setOverrideLog(logOverride(overrideLog, {
+      reason: `Went past ${names} for ${requested.name}`,
+      modelId: requested.id,
+      budgets: exhausted.map(s => ({ ...s.budget, spent: s.spent }))
+    }))
+    setBudgetOverride(true)
+  }
+
+  /**
+   * Warn before sending a prompt of `promptTokens` to `sendModels` if the
+   * estimated cost or energy would take a budget over its limit.
+   * Returns false if the user cancels.
+   */
+  const confirmSend = (promptTokens, sendModels) => {
+    const usage = { ...TYPICAL_USAGE, promptTokens }
+    const exceeded = getBudgetsExceededBy(budgetStatuses, {
+      cost: sendModels.reduce((sum, m) => sum + calculateUsageCost(m, usage), 0),
+      energyWh: sendModels.reduce((sum, m) => sum + calculateUsageEnergy(m, usage), 0)
+    })
+    if (exceeded.length === 0) return true
+
+    const names = exceeded.map(s => describeBudget(s.budget)).join(' and ')
+    const targets = [...new Set(sendModels.map(m => m.name))].join(', ')
+    return window.confirm(`Sending to ${targets} will likely take your ${names} over its limit. Send anyway?`)
+  }
+
+  // Charge spend to the budgets' ledger. Uses the updater form because
+  // chat and comparison requests can finish while each other are running.
+  const handleSpend = (spend) => {
+    setLedger(prev => recordSpend(prev, spend))
+  }
+
+  const handleAdaptiveRoutingChange = (enabled) => {
+    setAdaptiveRouting(enabled)
+    saveAdaptiveRouting(enabled)
+  }
+
+  const handleFeedback = (rating) => {
+    setSignals(recordFeedback(signals, rating))
+  }
+
+  const handleCacheSettingsChange = (next) => {
+    setCacheSettings(next)
+    saveCacheSettings(next)
+    setCacheEntries(loadCache(next.ttlHours))
+  }
+
+  const handleClearCache = () => {
+    clearCache()
+    setCacheEntries([])
+  }
+
+  const handleCacheStore = (lookup, answer) => {
+    setCacheEntries(prev => cacheResponse(prev, lookup, answer))
+  }
+
+  /**
+   * A cached answer was reused: count what it would have cost again
+   */
+  const handleCacheHit = (entry) => {
+    setStats(prev => addCacheHitStats(prev, entry))
+  }
+
   // Background color based on model tier
   const getBgColor = () => {
     const colors = {
@@ -530,16 +2250,45 @@ function App() {
     return colors[model.tier] || colors[3]
   }
 
-  // Handle query sent from chat - calculate actual savings vs gpt-4o (most expensive)
-  const handleQuerySent = (modelUsed) => {
-    setQueryCount(prev => prev + 1)
-    // Calculate savings compared to using gpt-4o for this query
-    const maxCost = getMaxModelCost()
-    const actualCost = modelUsed.costPer1MTokens * ESTIMATED_TOKENS_PER_QUERY / 1000000
-    const saved = maxCost - actualCost
-    setTotalSavings(prev => prev + saved)
+  // Handle query sent from chat - bill every attempt (including self-checks)
+  // and compare against sending the query once to the comparison model
+  const handleQuerySent = ({ attempts, summary, isRetry = false, isEscalation = false, supersededCost = 0 }) => {
+    const final = attempts[attempts.length - 1]
+    const sum = (list, pick) => list.reduce((total, item) => total + pick(item), 0)
+    const cost = sum(attempts, a => a.cost + (a.check?.cost || 0)) + (summary?.cost || 0)
+    const energyWh = sum(attempts, a => a.energyWh + (a.check?.energyWh || 0)) + (summary?.energyWh || 0)
+    const comparisonCost = getComparisonCost(final.usage)
+    const comparisonEnergyWh = getComparisonEnergy(final.usage)
+
+    // Every answered attempt before the final one was escalated away from
+    // (unavailable models answered nothing), and "Try a stronger model"
+    // also escalates away from the answer it replaces. A regenerated
+    // answer keeps the old one, so it's neither.
+    const answered = attempts.filter(a => a.outcome !== 'unavailable')
+    const escalations = answered.length - 1 + (isEscalation ? 1 : 0)
+    const wasted = sum(attempts, a => a.check?.cost || 0) +
+      sum(attempts.slice(0, -1), a => a.cost) +
+      supersededCost
+
+    setStats(prev => addQueryStats(prev, {
+      cost, energyWh, comparisonCost, comparisonEnergyWh, escalations, escalationCost: wasted, isRetry
+    }))
+    // Budgets count every query, and an override covers only one
+    handleSpend({ cost, energyWh })
+    setBudgetOverride(false)
+    setLastQuery({
+      modelId: final.modelId,
+      usage: final.usage,
+      cost,
+      comparisonCost,
+      energyWh,
+      comparisonEnergyWh
+    })
   }
 
+  // Which main view is showing: chat, model comparison, batch run, policies or usage dashboard
+  const [view, setView] = useState('chat')
+
   // Toggle for showing/hiding the guide
   const [showGuide, setShowGuide] = useState(true)
 
@@ -550,6 +2299,38 @@ function App() {
         <p className="subtitle">
           Route queries to the right model based on your needs
         </p>
+        <nav className="view-tabs">
+          <button
+            className={view === 'chat' ? 'active' : ''}
+            onClick={() => setView('chat')}
+          >
+            Chat
+          </button>
+          <button
+            className={view === 'compare' ? 'active' : ''}
+            onClick={() => setView('compare')}
+          >
+            Compare
+          </button>
+          <button
+            className={view === 'batch' ? 'active' : ''}
+            onClick={() => setView('batch')}
+          >
+            Batch
+          </button>
+          <button
+            className={view === 'policies' ? 'active' : ''}
+            onClick={() => setView('policies')}
+          >
+            Policies
+          </button>
+          <button
+            className={view === 'dashboard' ? 'active' : ''}
+            onClick={() => setView('dashboard')}
+          >
+            Dashboard
+          </button>
+        </nav>
       </header>
 
       {/* Collapsible Guide Section */}
@@ -607,11 +2388,82 @@ function App() {
         </button>
       )}
 
-      <main className="app-main">
+      {/* Kept mounted so results survive switching tabs. A budget override
+          covers one chat message, so comparisons and batches keep the cap. */}
+      <CompareView
+        hidden={view !== 'compare'}
+        model={model}
+        maxTier={budgetTierCap}
+        settings={{ efficiency, speed, complexity: effectiveComplexity }}
+        generation={generation}
+        systemPrompt={systemPrompt}
+        carbonIntensity={carbonIntensity}
+        signals={signals}
+        onSignalsChange={setSignals}
+        confirmSend={confirmSend}
+        onSpend={handleSpend}
+      />
+
+      <BatchRunner
+        hidden={view !== 'batch'}
+        policy={activePolicy}
+        settings={{
+          efficiency, speed, complexity, autoComplexity, reasoningEffort, maxOutputTokens, temperature, topP, stopSequences
+        }}
+        systemPrompt={systemPrompt}
+        budgetUsed={routingContext.budgetUsed}
+        maxTier={budgetTierCap}
+        carbonIntensity={carbonIntensity}
+        confirmSend={confirmSend}
+        onSpend={handleSpend}
+      />
+
+      {view === 'policies' && (
+        <PolicyEditor
+          policies={policies}
+          activeId={activePolicy.id}
+          onActivate={handleActivatePolicy}
+          onSave={handleSavePolicy}
+          onDelete={handleDeletePolicy}
+          onImport={(imported) => updatePolicies([...policies, ...imported])}
+          currentSettings={{ efficiency, speed, complexity: effectiveComplexity }}
+        />
+      )}
+
+      {view === 'dashboard' && (
+        <UsageDashboard
+          conversations={conversations.map(c => c.id === activeId ? getActiveConversation() : c)}
+        />
+      )}
+
+      <main className="app-main" hidden={view !== 'chat'}>
+        {/* Sidebar: saved conversations */}
+        <ConversationSidebar
+          conversations={conversations.map(c => c.id === activeId ? getActiveConversation() : c)}
+          activeId={activeId}
+          disabled={isLoading}
+          onCreate={handleCreateConversation}
+          onSwitch={handleSwitchConversation}
+          onRename={handleRenameConversation}
+          onDelete={handleDeleteConversation}
+        />
+
         {/* Left Panel: Sliders */}
         <section className="preferences-panel">
           <h2>Your Preferences</h2>
 
+          <PresetPanel
+            presets={presets}
+            current={currentPreset}
+            shared={sharedSetup}
+            shareUrl={`${window.location.origin}${window.location.pathname}?${shareQuery}`}
+            onApply={(preset) => applyPresetSettings(preset.settings)}
+            onSave={handleSavePreset}
+            onDelete={handleDeletePreset}
+            onImport={handleImportPresets}
+            onDismissShared={() => setSharedSetup(null)}
+          />
+
           <PreferenceSlider
             label="Efficiency"
             value={efficiency}
@@ -630,23 +2482,111 @@ function App() {
 
           <PreferenceSlider
             label="Complexity"
-            value={complexity}
-            onChange={setComplexity}
+            value={effectiveComplexity}
+            onChange={handleComplexityChange}
             icon="🧠"
             description="How complex are your queries?"
-          />
+          >
+            <AutoComplexity
+              enabled={autoComplexity}
+              onToggle={setAutoComplexity}
+              inference={complexityInference}
+              fallback={complexity}
+            />
+          </PreferenceSlider>
 
           <ModelSelector
             currentModel={model}
             onModelSelect={handleModelSelect}
           />
 
-          <ModelDisplay model={model} preferenceCode={preferenceCode} />
+          <PolicySelector
+            policies={policies}
+            activeId={activePolicy.id}
+            onChange={handleActivatePolicy}
+            onManage={() => setView('policies')}
+          />
+
+          <ModelDisplay
+            model={model}
+            policy={activePolicy}
+            trace={trace}
+            budgetLimitedFrom={budgetLimitedFrom}
+            feedbackShift={feedbackShift}
+            capabilityShift={capabilityShift}
+          />
+
+          <CascadeSettings
+            cascade={cascade}
+            onCascadeChange={setCascade}
+            selfCheck={selfCheck}
+            onSelfCheckChange={setSelfCheck}
+            model={model}
+            needs={needs}
+          />
+
+          <HistorySettings
+            strategy={historyStrategy}
+            onStrategyChange={setHistoryStrategy}
+            historyTokens={historyTokens}
+            onHistoryTokensChange={setHistoryTokens}
+          />
+
+          <GenerationSettings
+            model={model}
+            derived={derivedGeneration}
+            reasoningEffort={reasoningEffort}
+            onReasoningEffortChange={setReasoningEffort}
+            maxOutputTokens={maxOutputTokens}
+            onMaxOutputTokensChange={setMaxOutputTokens}
+          />
+
+          <PromptSettings
+            model={model}
+            systemPrompt={systemPrompt}
+            onSystemPromptChange={setSystemPrompt}
+            temperature={temperature}
+            onTemperatureChange={setTemperature}
+            topP={topP}
+            onTopPChange={setTopP}
+            stopSequences={stopSequences}
+            onStopSequencesChange={setStopSequences}
+            isDefault={promptSettingsAreDefault}
+            onReset={handleResetPromptSettings}
+          />
+
+          <FeedbackPanel
+            enabled={adaptiveRouting}
+            onToggle={handleAdaptiveRoutingChange}
+            signals={signals}
+            draftKind={draftKind}
+            conversations={conversations.map(c => c.id === activeId ? getActiveConversation() : c)}
+            onClear={() => setSignals(clearFeedback(signals))}
+          />
+
+          <CacheSettings
+            settings={cacheSettings}
+            onChange={handleCacheSettingsChange}
+            entryCount={cacheEntries.length}
+            onClear={handleClearCache}
+          />
+
+          <BudgetPanel
+            budgets={budgets}
+            statuses={budgetStatuses}
+            tierCap={budgetTierCap}
+            overrideActive={budgetOverride}
+            overrideLog={overrideLog}
+            onChange={handleBudgetsChange}
+            onOverride={handleBudgetOverride}
+          />
 
           <SavingsDisplay
             model={model}
-            queryCount={queryCount}
-            totalSavings={totalSavings}
+            stats={stats}
+            lastQuery={lastQuery}
+            carbonIntensity={carbonIntensity}
+            onCarbonIntensityChange={setCarbonIntensity}
           />
         </section>
 
@@ -658,6 +2598,32 @@ function App() {
             onClearChat={handleClearChat}
             messages={messages}
             setMessages={setMessages}
+            input={input}
+            setInput={setInput}
+            attachments={attachments}
+            setAttachments={setAttachments}
+            needs={needs}
+            unmetNeeds={unmetNeeds}
+            complexityInference={complexityInference}
+            routingSettings={{ efficiency, speed, complexity: effectiveComplexity }}
+            draftKind={draftKind}
+            feedbackShift={feedbackShift}
+            onFeedback={handleFeedback}
+            cascade={cascade}
+            selfCheck={selfCheck}
+            carbonIntensity={carbonIntensity}
+            maxTier={maxTier}
+            confirmSend={confirmSend}
+            generation={generation}
+            cacheSettings={cacheSettings}
+            cacheEntries={cacheEntries}
+            onCacheHit={handleCacheHit}
+            onCacheStore={handleCacheStore}
+            historySettings={{ strategy: historyStrategy, historyTokens, generation, systemPrompt }}
+            historySummary={historySummary}
+            setHistorySummary={setHistorySummary}
+            isLoading={isLoading}
+            setIsLoading={setIsLoading}
           />
         </section>
       </main>
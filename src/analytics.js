@@ -0,0 +1,192 @@
+/**
+ * Usage analytics over saved conversations.
+ *
+ * Every assistant message stores the attempts that produced it (model,
+ * token usage, cost, energy), for each of its versions if it was
+ * regenerated. Flattening those gives one record per API call, which the
+ * dashboard groups by tier, day and conversation and which can be
+ * exported as CSV or JSON.
+ */
+
+import { MODELS } from './models.js'
+import { getConversationTitle } from './storage.js'
+import { getMessageVersions } from './messageVersions.js'
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+// Column order for CSV export
+const RECORD_FIELDS = [
+  'timestamp',
+  'day',
+  'conversationId',
+  'conversationTitle',
+  'messageIndex',
+  'kind',
+  'modelId',
+  'tier',
+  'outcome',
+  'promptTokens',
+  'cachedTokens',
+  'completionTokens',
+  'reasoningTokens',
+  'cost',
+  'energyWh'
+]
+
+/**
+ * Local calendar day (YYYY-MM-DD) for a timestamp
+ */
+function toDay(timestamp) {
+  const date = new Date(timestamp)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * One record per API call (answer attempts, self-checks and history
+ * summaries) across all conversations
+ */
+export function buildUsageRecords(conversations) {
+  const records = []
+
+  for (const conversation of conversations) {
+    const conversationTitle = getConversationTitle(conversation)
+
+    conversation.messages.forEach((message, messageIndex) => {
+      if (message.isUser || !message.attempts) return
+
+      // Earlier versions of a regenerated answer were billed too
+      for (const version of getMessageVersions(message)) {
+        // Messages saved before timestamps existed fall back to the conversation's
+        const timestamp = version.createdAt || conversation.createdAt
+
+        const addRecord = (attempt, kind) => records.push({
+          timestamp,
+          day: toDay(timestamp),
+          conversationId: conversation.id,
+          conversationTitle,
+          messageIndex,
+          kind,
+          modelId: attempt.modelId,
+          tier: attempt.tier,
+          outcome: kind === 'self-check' ? (attempt.passed ? 'passed' : 'failed') : attempt.outcome,
+          ...attempt.usage,
+          cost: attempt.cost,
+          energyWh: attempt.energyWh || 0
+        })
+
+        for (const summary of version.summaries || []) addRecord(summary, 'summary')
+        for (const attempt of version.attempts) {
+          addRecord(attempt, 'answer')
+          if (attempt.check) addRecord(attempt.check, 'self-check')
+        }
+      }
+    })
+  }
+
+  return records.sort((a, b) => a.timestamp - b.timestamp)
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Group records and total them.
+ * Returns [{ key, calls, messages, tokens, cost, energyWh }] sorted by key.
+ * `messages` counts distinct assistant messages, i.e. queries.
+ */
+export function summarizeBy(records, getKey) {
+  const groups = new Map()
+
+  for (const record of records) {
+    const key = getKey(record)
+    if (!groups.has(key)) {
+      groups.set(key, { key, calls: 0, messageIds: new Set(), tokens: 0, cost: 0, energyWh: 0 })
+    }
+    const group = groups.get(key)
+    group.calls++
+    group.messageIds.add(`${record.conversationId}:${record.messageIndex}`)
+    group.tokens += record.promptTokens + record.completionTokens
+    group.cost += record.cost
+    group.energyWh += record.energyWh
+  }
+
+  return [...groups.values()]
+    .map(({ messageIds, ...group }) => ({ ...group, messages: messageIds.size }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+}
+
+/**
+ * Share of answering calls per tier for each day, for the tier-mix chart.
+ * Returns [{ day, total, tiers: { [tier]: count } }] oldest first.
+ */
+export function tierMixByDay(records) {
+  const days = new Map()
+
+  for (const record of records) {
+    if (record.kind !== 'answer') continue
+    if (!days.has(record.day)) days.set(record.day, { day: record.day, total: 0, tiers: {} })
+    const entry = days.get(record.day)
+    entry.total++
+    entry.tiers[record.tier] = (entry.tiers[record.tier] || 0) + 1
+  }
+
+  return [...days.values()].sort((a, b) => (a.day < b.day ? -1 : 1))
+}
+
+/**
+ * Display name for a tier number (the model at that tier, if any)
+ */
+export function tierLabel(tier, modelId) {
+  const model = MODELS[modelId]
+  return tier ? `Tier ${tier}${model ? ` · ${model.name}` : ''}` : model?.name || 'Unknown'
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline
+ */
+export function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Records as CSV, one row per API call
+ */
+export function recordsToCsv(records) {
+  const rows = records.map(record =>
+    RECORD_FIELDS.map(field => csvField(
+      field === 'timestamp' ? new Date(record.timestamp).toISOString() : record[field]
+    )).join(',')
+  )
+  return [RECORD_FIELDS.join(','), ...rows].join('\n')
+}
+
+/**
+ * Records as pretty-printed JSON
+ */
+export function recordsToJson(records) {
+  return JSON.stringify(records.map(record => ({
+    ...record,
+    timestamp: new Date(record.timestamp).toISOString()
+  })), null, 2)
+}
+
+/**
+ * Save text as a file download in the browser
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
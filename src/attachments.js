@@ -0,0 +1,159 @@
+/**
+ * Files attached to a user message: images, and the text of text files
+ * and PDFs.
+ *
+ * Images are sent as data URLs in image_url content parts, so they need a
+ * model with vision. Text files and PDFs (read with pdf.js, which is only
+ * loaded once a PDF is attached) are sent as text after the message, so
+ * only their size matters to routing. Each attachment records its token
+ * estimate when it's read, so a large file isn't re-counted on every
+ * keystroke.
+ */
+
+import { estimateTokens, IMAGE_TOKENS } from './tokens.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const MAX_ATTACHMENTS = 5
+
+// Images are stored with the conversation, so keep them modest
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024
+const MAX_FILE_BYTES = 20 * 1024 * 1024
+
+// Image formats the vision models accept
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+// Text files by extension, for when the browser reports no MIME type
+const TEXT_EXTENSIONS = [
+  '.txt', '.md', '.csv', '.tsv', '.json', '.jsonl', '.xml', '.html', '.css', '.yaml', '.yml', '.toml',
+  '.log', '.sql', '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.h', '.go', '.rs', '.rb', '.sh'
+]
+
+// For the file picker's `accept`
+export const ACCEPTED_FILES = [...IMAGE_TYPES, 'application/pdf', 'text/*', ...TEXT_EXTENSIONS].join(',')
+
+// ============================================================================
+// READING FILES
+// ============================================================================
+
+/**
+ * A file's contents as a data URL
+ */
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * The text of every page of a PDF, pages separated by blank lines
+ */
+async function extractPdfText(file) {
+  const pdfjs = await import('pdfjs-dist')
+  const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+  const pages = []
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const content = await (await pdf.getPage(number)).getTextContent()
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''))
+  }
+  return { text: pages.join('\n\n').trim(), pages: pdf.numPages }
+}
+
+/**
+ * Text wrapped the way it's sent, so the token estimate covers the wrapper
+ */
+function fileBlock(name, text) {
+  return `Attached file "${name}":\n\`\`\`\n${text}\n\`\`\``
+}
+
+/**
+ * Read a picked file into an attachment:
+ * { id, kind: 'image' | 'text', name, size, tokens, dataUrl? , text?, pages? }.
+ * Throws an Error saying why a file can't be attached.
+ */
+export async function readAttachment(file) {
+  const base = { id: crypto.randomUUID(), name: file.name, size: file.size }
+  const dot = file.name.lastIndexOf('.')
+  const extension = dot > 0 ? file.name.slice(dot).toLowerCase() : ''
+
+  if (IMAGE_TYPES.includes(file.type)) {
+    if (file.size > MAX_IMAGE_BYTES) {
+      throw new Error(`${file.name} is ${formatFileSize(file.size)}; images can be up to ${formatFileSize(MAX_IMAGE_BYTES)}`)
+    }
+    return { ...base, kind: 'image', dataUrl: await readAsDataUrl(file), tokens: IMAGE_TOKENS }
+  }
+
+  if (file.size > MAX_FILE_BYTES) {
+    throw new Error(`${file.name} is ${formatFileSize(file.size)}; files can be up to ${formatFileSize(MAX_FILE_BYTES)}`)
+  }
+
+  if (file.type === 'application/pdf' || extension === '.pdf') {
+    const { text, pages } = await extractPdfText(file)
+    if (!text) throw new Error(`No text found in ${file.name} (it may be scanned images)`)
+    return { ...base, kind: 'text', text, pages, tokens: estimateTokens(fileBlock(file.name, text)) }
+  }
+
+  if (file.type.startsWith('text/') || file.type === 'application/json' || TEXT_EXTENSIONS.includes(extension)) {
+    const text = await file.text()
+    return { ...base, kind: 'text', text, tokens: estimateTokens(fileBlock(file.name, text)) }
+  }
+
+  throw new Error(`${file.name}: only images (PNG, JPEG, GIF, WebP), text files and PDFs can be attached`)
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * API message content for a message's text and attachments: a string when
+ * there are no images, otherwise text and image_url parts
+ */
+export function toMessageContent(text, attachments = []) {
+  const files = attachments.filter(a => a.kind === 'text')
+  const images = attachments.filter(a => a.kind === 'image')
+  const fullText = [text, ...files.map(f => fileBlock(f.name, f.text))].join('\n\n')
+  if (images.length === 0) return fullText
+  return [
+    { type: 'text', text: fullText },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+  ]
+}
+
+/**
+ * Estimated prompt tokens the attachments add to their message
+ */
+export function getAttachmentTokens(attachments = []) {
+  return attachments.reduce((sum, a) => sum + a.tokens, 0)
+}
+
+/**
+ * Whether any of `messages` ({ text, attachments? }) carries an image
+ */
+export function hasImages(messages) {
+  return messages.some(m => m.attachments?.some(a => a.kind === 'image'))
+}
+
+/**
+ * Attachment names, for places that only carry text (summaries)
+ */
+export function describeAttachments(attachments = []) {
+  return attachments.length > 0 ? `[Attached: ${attachments.map(a => a.name).join(', ')}]` : ''
+}
+
+/**
+ * A byte count as B, KB or MB for display
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
@@ -0,0 +1,288 @@
+/**
+ * Batch runs: a file of prompts answered one request each, for bulk jobs
+ * such as labeling and classification.
+ *
+ * Each row is routed through the active policy with the current sliders
+ * (as if typed into a new chat), or pinned to a model, either for the
+ * whole batch or by the row itself. The scheduler runs rows with bounded
+ * concurrency and a minimum gap between starts, and can be paused and
+ * resumed; the results export has one line per row.
+ */
+
+import { MODELS, MODEL_TIERS } from './models.js'
+import { selectModel } from './routing.js'
+import { inferComplexity, extractPromptFeatures } from './complexity.js'
+import { csvField } from './analytics.js'
+import { parseStopSequences } from './chat.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Rows beyond this are rejected, so a stray file can't queue a huge bill
+export const MAX_BATCH_ROWS = 1000
+
+export const MAX_CONCURRENCY = 8
+
+export const DEFAULT_BATCH_OPTIONS = { concurrency: 2, requestsPerMinute: 30 }
+
+// Column order for the results export
+const RESULT_FIELDS = [
+  'id',
+  'prompt',
+  'status',
+  'routedBy',
+  'modelId',
+  'tier',
+  'outcome',
+  'output',
+  'promptTokens',
+  'completionTokens',
+  'reasoningTokens',
+  'cost',
+  'energyWh',
+  'latencyMs',
+  'error'
+]
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split CSV text into records of fields, handling quoted fields with
+ * commas, doubled quotes and line breaks
+ */
+function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || record.length > 0) records.push([...record, field])
+  return records.filter(r => r.some(value => value.trim()))
+}
+
+/**
+ * Rows of a CSV file with a header row naming its columns
+ */
+function csvRows(text) {
+  const [header, ...records] = parseCsv(text)
+  if (!header) return []
+  const columns = header.map(name => name.trim().toLowerCase())
+  if (!columns.includes('prompt')) throw new Error('The CSV needs a header row with a "prompt" column')
+  return records.map(values => Object.fromEntries(columns.map((name, idx) => [name, values[idx] ?? ''])))
+}
+
+/**
+ * Rows of a JSONL file, one object per line
+ */
+function jsonlRows(text) {
+  return text.split(/\r?\n/).filter(line => line.trim()).map((line, idx) => {
+    try {
+      return JSON.parse(line)
+    } catch (err) {
+      throw new Error(`Line ${idx + 1}: not valid JSON (${err.message})`)
+    }
+  })
+}
+
+/**
+ * Parse a batch file: CSV with a header row, or JSONL (chosen by the file
+ * name, or by the content if the name doesn't say). Each row needs a
+ * `prompt`, and may have an `id` and a `model` (a model ID) to pin it.
+ *
+ * Returns [{ index, id, prompt, modelId }]. Throws an Error listing the
+ * problems if any row is invalid.
+ */
+export function parseBatchFile(text, fileName = '') {
+  const isJsonl = /\.(jsonl|ndjson)$/i.test(fileName) ||
+    (!/\.csv$/i.test(fileName) && text.trimStart().startsWith('{'))
+  const records = isJsonl ? jsonlRows(text) : csvRows(text)
+
+  if (records.length === 0) throw new Error('The file has no prompts')
+  if (records.length > MAX_BATCH_ROWS) {
+    throw new Error(`The file has ${records.length} rows; a batch can have at most ${MAX_BATCH_ROWS}`)
+  }
+
+  const problems = []
+  const rows = records.map((record, index) => {
+    const label = `Row ${index + 1}`
+    const prompt = typeof record?.prompt === 'string' ? record.prompt.trim() : ''
+    const modelId = record?.model ? String(record.model).trim() : null
+    if (!prompt) problems.push(`${label}: "prompt" is missing or empty`)
+    if (modelId && !MODELS[modelId]) problems.push(`${label}: unknown model "${modelId}"`)
+    return { index, id: record?.id ? String(record.id) : String(index + 1), prompt, modelId }
+  })
+  if (problems.length > 0) throw new Error(problems.join('\n'))
+  return rows
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Model and generation settings for one row.
+ *
+ * `settings` are the sliders and overrides of the active conversation
+ * ({ efficiency, speed, complexity, autoComplexity, reasoningEffort,
+ * maxOutputTokens, temperature, topP, stopSequences }); in Auto mode complexity is inferred from the row's
+ * prompt. A pin (`pinnedModelId` for the whole batch, else the row's own
+ * model) replaces the policy's choice.
+ *
+ * Returns { model, generation, routedBy } where routedBy is 'policy',
+ * 'pinned' or 'row', or null for a pinned model above `maxTier`.
+ */
+export function routeBatchRow(row, { policy, settings, budgetUsed = 0, maxTier = MODEL_TIERS.length, pinnedModelId = null }) {
+  const complexity = settings.autoComplexity
+    ? inferComplexity(row.prompt, []).complexity
+    : settings.complexity
+  const route = selectModel(policy, {
+    efficiency: settings.efficiency,
+    speed: settings.speed,
+    complexity,
+    budgetUsed,
+    ...extractPromptFeatures(row.prompt, [])
+  }, maxTier)
+
+  const generation = {
+    reasoningEffort: settings.reasoningEffort ?? route.generation.reasoningEffort,
+    maxOutputTokens: settings.maxOutputTokens ?? route.generation.maxOutputTokens,
+    temperature: settings.temperature ?? null,
+    topP: settings.topP ?? null,
+    stop: parseStopSequences(settings.stopSequences)
+  }
+
+  const pin = pinnedModelId || row.modelId
+  if (!pin) return { model: route.model, generation, routedBy: 'policy' }
+  if (MODELS[pin].tier > maxTier) return null
+  return { model: MODELS[pin], generation, routedBy: pinnedModelId ? 'pinned' : 'row' }
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Run `items` through `runItem` (which resolves when the item is finished
+ * and never rejects), at most `concurrency` at a time and no more than
+ * `requestsPerMinute` starts a minute (0 for no limit).
+ *
+ * Pausing stops new starts; items already running finish. onIdle is
+ * called with the number of items still waiting whenever nothing is
+ * running any more and nothing more will start (all done, or paused).
+ *
+ * Returns { start, pause, resume }.
+ */
+export function createBatchScheduler(items, { concurrency, requestsPerMinute, runItem, onIdle }) {
+  const minGapMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0
+  const waiting = [...items]
+  let running = 0
+  let paused = false
+  let lastStartAt = -Infinity
+  let timer = null
+
+  const pump = () => {
+    timer = null
+    while (!paused && waiting.length > 0 && running < concurrency) {
+      const delayMs = lastStartAt + minGapMs - Date.now()
+      if (delayMs > 0) {
+        timer = setTimeout(pump, delayMs)
+        return
+      }
+      const item = waiting.shift()
+      running++
+      lastStartAt = Date.now()
+      runItem(item).then(() => {
+        running--
+        if (running === 0 && (paused || waiting.length === 0)) onIdle?.(waiting.length)
+        else if (!timer) pump()
+      })
+    }
+  }
+
+  return {
+    start: pump,
+    pause() {
+      paused = true
+      clearTimeout(timer)
+      timer = null
+      if (running === 0) onIdle?.(waiting.length)
+    },
+    resume() {
+      paused = false
+      pump()
+    }
+  }
+}
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * One flat result per row: { id, prompt, status, routedBy, modelId, tier,
+ * outcome (accepted, truncated, refused or stopped), output, token counts,
+ * cost, energyWh, latencyMs, error }
+ */
+export function buildBatchResults(rows) {
+  return rows.map(row => ({
+    id: row.id,
+    prompt: row.prompt,
+    status: row.status,
+    routedBy: row.routedBy ?? null,
+    modelId: row.model?.id ?? null,
+    tier: row.model?.tier ?? null,
+    outcome: row.attempt?.outcome ?? null,
+    output: row.text ?? null,
+    promptTokens: row.attempt?.usage.promptTokens ?? null,
+    completionTokens: row.attempt?.usage.completionTokens ?? null,
+    reasoningTokens: row.attempt?.usage.reasoningTokens ?? null,
+    cost: row.attempt?.cost ?? null,
+    energyWh: row.attempt?.energyWh ?? null,
+    latencyMs: row.latencyMs === undefined ? null : Math.round(row.latencyMs),
+    error: row.error?.message ?? null
+  }))
+}
+
+/**
+ * Batch results as CSV, one line per row
+ */
+export function batchResultsToCsv(results) {
+  const lines = results.map(result => RESULT_FIELDS.map(field => csvField(result[field])).join(','))
+  return [RESULT_FIELDS.join(','), ...lines].join('\n')
+}
+
+/**
+ * Batch results as JSONL, one object per line
+ */
+export function batchResultsToJsonl(results) {
+  return results.map(result => JSON.stringify(result)).join('\n')
+}
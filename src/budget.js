@@ -0,0 +1,169 @@
+/**
+ * Spending and energy budgets that constrain routing.
+ *
+ * A budget is a daily or monthly limit in dollars or Wh. Spend is tracked
+ * in a ledger kept separately from conversations (so deleting a
+ * conversation doesn't refund it), and everything is saved in localStorage.
+ *
+ * As a budget is used up the highest tier routing may pick steps down
+ * (BUDGET_TIER_CAPS). Once any budget is exhausted only tier 1 is allowed,
+ * unless the user confirms an override, which is recorded in the override log.
+ */
+
+import { readJson, writeJson } from './localStore.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BUDGETS_KEY = 'low-energy-ai:budgets'
+const LEDGER_KEY = 'low-energy-ai:spend-ledger'
+const OVERRIDES_KEY = 'low-energy-ai:budget-overrides'
+
+// Ledger entries older than this can't affect a daily or monthly budget
+const LEDGER_RETENTION_MS = 62 * 24 * 60 * 60 * 1000
+
+// Highest allowed tier by fraction of a budget used, checked in order
+export const BUDGET_TIER_CAPS = [
+  { usedAtLeast: 1, maxTier: 1 },
+  { usedAtLeast: 0.9, maxTier: 2 },
+  { usedAtLeast: 0.75, maxTier: 3 },
+  { usedAtLeast: 0.5, maxTier: 4 }
+]
+
+export const BUDGET_UNITS = {
+  usd: { label: '$', field: 'cost' },
+  wh: { label: 'Wh', field: 'energyWh' }
+}
+
+export const BUDGET_PERIODS = {
+  day: 'Daily',
+  month: 'Monthly'
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+export function loadBudgets() {
+  return readJson(BUDGETS_KEY, [])
+}
+
+export function saveBudgets(budgets) {
+  writeJson(BUDGETS_KEY, budgets)
+}
+
+export function loadLedger() {
+  return readJson(LEDGER_KEY, [])
+}
+
+/**
+ * Record spend for one query and return the updated ledger
+ */
+export function recordSpend(ledger, { cost, energyWh }, now = Date.now()) {
+  const updated = [
+    ...ledger.filter(entry => now - entry.timestamp < LEDGER_RETENTION_MS),
+    { timestamp: now, cost, energyWh }
+  ]
+  writeJson(LEDGER_KEY, updated)
+  return updated
+}
+
+export function loadOverrideLog() {
+  return readJson(OVERRIDES_KEY, [])
+}
+
+/**
+ * Append an override to the log and return the updated log
+ */
+export function logOverride(log, entry) {
+  const updated = [...log, { timestamp: Date.now(), ...entry }]
+  writeJson(OVERRIDES_KEY, updated)
+  return updated
+}
+
+// ============================================================================
+// BUDGET STATUS
+// ============================================================================
+
+/**
+ * A new budget with sensible defaults
+ */
+export function createBudget() {
+  return { id: crypto.randomUUID(), period: 'day', unit: 'usd', limit: 1 }
+}
+
+/**
+ * Start of the current day or month (local time)
+ */
+function periodStart(period, now) {
+  const date = new Date(now)
+  if (period === 'month') return new Date(date.getFullYear(), date.getMonth(), 1).getTime()
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+}
+
+/**
+ * Highest tier allowed once a budget is `fraction` used
+ */
+function capForFraction(fraction, tierCount) {
+  const cap = BUDGET_TIER_CAPS.find(c => fraction >= c.usedAtLeast)
+  return cap ? Math.min(cap.maxTier, tierCount) : tierCount
+}
+
+/**
+ * Spend so far in each budget's current period, and the tier cap it implies.
+ * Returns [{ budget, spent, fraction, maxTier, exhausted }].
+ */
+export function getBudgetStatus(budgets, ledger, tierCount, now = Date.now()) {
+  return budgets
+    .filter(budget => budget.limit > 0)
+    .map(budget => {
+      const start = periodStart(budget.period, now)
+      const field = BUDGET_UNITS[budget.unit].field
+      const spent = ledger
+        .filter(entry => entry.timestamp >= start)
+        .reduce((sum, entry) => sum + entry[field], 0)
+      const fraction = spent / budget.limit
+
+      return {
+        budget,
+        spent,
+        fraction,
+        maxTier: capForFraction(fraction, tierCount),
+        exhausted: fraction >= 1
+      }
+    })
+}
+
+/**
+ * The tightest tier cap across all budgets
+ */
+export function getBudgetTierCap(statuses, tierCount) {
+  return statuses.reduce((cap, status) => Math.min(cap, status.maxTier), tierCount)
+}
+
+/**
+ * Budgets that a query with the given estimated cost and energy would push
+ * over their limit (budgets already exhausted are excluded; they cap routing)
+ */
+export function getBudgetsExceededBy(statuses, estimate) {
+  return statuses.filter(status => {
+    if (status.exhausted) return false
+    const amount = estimate[BUDGET_UNITS[status.budget.unit].field]
+    return status.spent + amount > status.budget.limit
+  })
+}
+
+/**
+ * Short description of a budget, e.g. "daily $1.00 budget"
+ */
+export function describeBudget(budget) {
+  return `${BUDGET_PERIODS[budget.period].toLowerCase()} ${formatBudgetAmount(budget.limit, budget.unit)} budget`
+}
+
+/**
+ * Budget amount for display, e.g. "$0.42" or "1.20 Wh"
+ */
+export function formatBudgetAmount(amount, unit) {
+  return unit === 'usd' ? `$${amount.toFixed(amount < 1 ? 4 : 2)}` : `${amount.toFixed(2)} Wh`
+}
@@ -0,0 +1,151 @@
+/**
+ * Cascade routing: answer with the cheapest tier first and only move up
+ * MODEL_TIERS when the answer looks inadequate.
+ *
+ * Automatic escalation triggers:
+ * - the response was cut off (finish_reason: "length")
+ * - the model refused
+ * - an optional self-check by the tier-1 model judged the answer inadequate
+ *
+ * Automatic escalation stops at the tier the sliders select, so the sliders
+ * still bound what a single query may cost. The user can go further by
+ * asking for a stronger model on the message.
+ *
+ * A model that can't be used at all (not available, or still failing
+ * after retries) is skipped in favour of a neighbouring tier, and one that
+ * can't handle the request (images, or too large for its context window)
+ * is never tried.
+ */
+
+import { MODELS, MODEL_TIERS, getUnmetNeeds } from './models.js'
+import { createChatCompletion } from './chat.js'
+import { parseUsage, calculateUsageCost } from './pricing.js'
+import { calculateUsageEnergy } from './energy.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Why an attempt was not accepted, for display next to each attempt
+export const ATTEMPT_OUTCOMES = {
+  accepted: '✓ accepted',
+  truncated: '✂ truncated',
+  refused: '⛔ refused',
+  'failed-check': '✗ failed self-check',
+  'user-escalated': '↑ user asked for stronger',
+  stopped: '■ stopped',
+  unavailable: '⚠ unavailable'
+}
+
+// Fallbacks to a neighbouring tier allowed per request
+export const MAX_FALLBACKS = 2
+
+// Openings that signal the model declined instead of answering
+const REFUSAL_PATTERN = /^\s*(I'm sorry|I am sorry|Sorry|Unfortunately)?[^.!?]{0,40}\bI (can't|cannot|can not|won't|am unable to|'m unable to|'m not able to) (help|assist|provide|do|answer|comply)/i
+
+const SELF_CHECK_PROMPT = [
+  'You are grading an AI assistant\'s answer.',
+  'Reply with exactly PASS if the answer addresses the question completely and correctly.',
+  'Otherwise reply with exactly FAIL.'
+].join(' ')
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Tiers whose model can't handle a request with `needs` (see
+ * getUnmetNeeds), which cascades and fallbacks skip
+ */
+export function getIncapableTiers(needs) {
+  return new Set(MODEL_TIERS
+    .map((id, idx) => getUnmetNeeds(MODELS[id], needs).length > 0 ? idx + 1 : null)
+    .filter(tier => tier !== null))
+}
+
+/**
+ * Tier range for a cascade: start at the lowest tier that can handle the
+ * request (tier 1 unless `needs` rule it out) and escalate automatically
+ * no higher than the tier the sliders selected
+ */
+export function getCascadeRange(selectedTier, needs = {}) {
+  const incapable = getIncapableTiers(needs)
+  let startTier = 1
+  while (startTier < selectedTier && incapable.has(startTier)) startTier++
+  return { startTier, maxTier: selectedTier }
+}
+
+/**
+ * Model for a 1-based tier number
+ */
+export function modelForTier(tier) {
+  return MODELS[MODEL_TIERS[tier - 1]]
+}
+
+/**
+ * Tier to fall back to when the model at `tier` can't be used: the
+ * nearest tier not yet tried, checking the cheaper side first, and never
+ * above maxTier so the sliders and budgets still bound the cost.
+ * Null when every tier in reach has been tried.
+ */
+export function getFallbackTier(tier, triedTiers, maxTier) {
+  for (let distance = 1; distance < MODEL_TIERS.length; distance++) {
+    for (const candidate of [tier - distance, tier + distance]) {
+      if (candidate >= 1 && candidate <= maxTier && !triedTiers.has(candidate)) return candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Models for tiers startTier..maxTier, in order, leaving out any that
+ * can't handle `needs` (unless none can)
+ */
+export function modelsForTiers(startTier, maxTier, needs = {}) {
+  const models = MODEL_TIERS.slice(startTier - 1, maxTier).map(id => MODELS[id])
+  const capable = models.filter(m => getUnmetNeeds(m, needs).length === 0)
+  return capable.length > 0 ? capable : models
+}
+
+/**
+ * Decide whether a completion needs escalating.
+ * Returns the outcome key from ATTEMPT_OUTCOMES ('accepted' if it's fine).
+ */
+export function getAttemptOutcome({ text, finishReason, refusal }) {
+  if (finishReason === 'length') return 'truncated'
+  if (refusal || REFUSAL_PATTERN.test(text.slice(0, 200))) return 'refused'
+  return 'accepted'
+}
+
+/**
+ * Build the record of one attempt at answering, with its cost and energy
+ */
+export function buildAttempt(model, rawUsage, outcome) {
+  const usage = parseUsage(rawUsage)
+  return {
+    modelId: model.id,
+    tier: model.tier,
+    outcome,
+    usage,
+    cost: calculateUsageCost(model, usage),
+    energyWh: calculateUsageEnergy(model, usage)
+  }
+}
+
+/**
+ * Ask the tier-1 model whether an answer is adequate.
+ * Resolves with { passed, usage, model } so the check can be billed.
+ */
+export async function runSelfCheck(question, answer, signal) {
+  const model = modelForTier(1)
+  const result = await createChatCompletion(model, [
+    { role: 'system', content: SELF_CHECK_PROMPT },
+    { role: 'user', content: `Question:\n${question}\n\nAnswer:\n${answer}` }
+  ], { signal, maxTokens: 5 })
+
+  return {
+    passed: !/FAIL/i.test(result.text),
+    usage: result.usage,
+    model
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Chat completion requests, dispatched to each model's provider adapter.
+ *
+ * Failures the adapters categorize as transient (rate limits, server
+ * errors, network drops, timeouts; see requestErrors.js) are retried with
+ * jittered exponential backoff, or after the wait the server asks for
+ * with Retry-After. A stream is only retried if nothing has arrived yet.
+ */
+
+import { REASONING_EFFORTS } from './models.js'
+import { getProvider } from './providers/index.js'
+import { estimateTokens, estimateMessageTokens } from './tokens.js'
+import { ERROR_CATEGORIES } from './requestErrors.js'
+import { toMessageContent } from './attachments.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Used unless a conversation sets its own
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant. Keep responses concise but informative.'
+
+// Output limit when no answer length is given
+export const MAX_OUTPUT_TOKENS = 500
+
+// Reasoning models spend output tokens thinking before they answer, so
+// their limit gets this much on top of the answer length
+const REASONING_ALLOWANCE = {
+  minimal: 0,
+  low: 1000,
+  medium: 2500,
+  high: 6000
+}
+
+// Sampling ranges the API accepts, and its limit on stop sequences
+export const TEMPERATURE_RANGE = { min: 0, max: 2 }
+export const TOP_P_RANGE = { min: 0, max: 1 }
+export const MAX_STOP_SEQUENCES = 4
+
+// Retries after the first try, and the backoff between them
+const MAX_RETRIES = 3
+const BACKOFF_BASE_MS = 500
+const BACKOFF_MAX_MS = 8000
+
+// A Retry-After longer than this fails the request instead of waiting
+const MAX_RETRY_AFTER_MS = 30 * 1000
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Convert chat history ({ text, isUser, attachments? }) into API messages,
+ * prefixed with the system prompt (the default when null) and, if older
+ * turns were summarized, their summary
+ */
+export function toApiMessages(history, summary, systemPrompt = null) {
+  return [
+    { role: 'system', content: systemPrompt ?? DEFAULT_SYSTEM_PROMPT },
+    ...(summary ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }] : []),
+    ...history.map(m => ({
+      role: m.isUser ? 'user' : 'assistant',
+      content: toMessageContent(m.text, m.attachments)
+    }))
+  ]
+}
+
+/**
+ * The reasoning effort and output limit a request to `model` carries for
+ * `generation` ({ reasoningEffort, maxOutputTokens }). Models without
+ * reasoning get no effort; the others get the nearest level they accept
+ * (rounding up) and room to think on top of the answer length.
+ * Returns { reasoningEffort, maxTokens }.
+ */
+export function getRequestLimits(model, { reasoningEffort, maxOutputTokens = MAX_OUTPUT_TOKENS } = {}) {
+  const accepted = model.reasoningEfforts
+  if (!accepted || !reasoningEffort) return { reasoningEffort: null, maxTokens: maxOutputTokens }
+
+  const wanted = REASONING_EFFORTS.indexOf(reasoningEffort)
+  const effort = accepted.find(level => REASONING_EFFORTS.indexOf(level) >= wanted) ||
+    accepted[accepted.length - 1]
+  return { reasoningEffort: effort, maxTokens: maxOutputTokens + REASONING_ALLOWANCE[effort] }
+}
+
+/**
+ * Stop sequences as typed (one per field, with \n and \t written as
+ * escapes) to what the API expects: blanks dropped, escapes unescaped,
+ * at most MAX_STOP_SEQUENCES
+ */
+export function parseStopSequences(sequences = []) {
+  return sequences
+    .filter(sequence => sequence !== '')
+    .map(sequence => sequence.replace(/\\n/g, '\n').replace(/\\t/g, '\t'))
+    .slice(0, MAX_STOP_SEQUENCES)
+}
+
+/**
+ * Fill in usage from local estimates when the provider didn't report any
+ * (e.g. some local servers), so every completion can still be costed
+ */
+function withUsage(result, messages) {
+  if (result.usage) return result
+  return {
+    ...result,
+    usage: {
+      prompt_tokens: estimateMessageTokens(messages),
+      completion_tokens: estimateTokens(result.text)
+    }
+  }
+}
+
+/**
+ * Resolve after `ms`, rejecting with an AbortError if the signal fires
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+/**
+ * How long to wait before retry number `retry` (0-based): the server's
+ * Retry-After if it gave one, otherwise a random delay up to an
+ * exponentially growing cap ("full jitter", so clients that failed
+ * together don't retry together)
+ */
+function getRetryDelay(retry, retryAfterMs = null, random = Math.random) {
+  if (retryAfterMs !== null) return retryAfterMs
+  return Math.round(random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** retry))
+}
+
+/**
+ * Run `request` (which receives a `started` callback to call once output
+ * has begun), retrying transient failures. onRetry, if given, is told
+ * about each retry as { error, retry, delayMs } before the wait.
+ */
+async function withRetries(request, { signal, onRetry }) {
+  for (let retry = 0; ; retry++) {
+    let started = false
+    try {
+      return await request(() => { started = true })
+    } catch (err) {
+      const retryable = ERROR_CATEGORIES[err.category]?.retry
+      if (!retryable || started || retry >= MAX_RETRIES) throw err
+      if (err.retryAfterMs > MAX_RETRY_AFTER_MS) {
+        err.message += ` (retry after ${Math.ceil(err.retryAfterMs / 1000)}s)`
+        throw err
+      }
+
+      const delayMs = getRetryDelay(retry, err.retryAfterMs)
+      onRetry?.({ error: err, retry: retry + 1, delayMs })
+      await wait(delayMs, signal)
+    }
+  }
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Stream a completion from a model.
+ *
+ * `generation` sets the reasoning effort and answer length (see
+ * getRequestLimits), and optionally temperature, topP and stop, which the
+ * provider sends only to models that accept them. onDelta receives the
+ * accumulated text each time a fragment arrives, and onRetry is told about
+ * retries (see withRetries). Resolves with { text, usage, finishReason,
+ * refusal }. If the request is aborted the AbortError propagates; the
+ * caller keeps the text it has seen.
+ */
+export async function streamChatCompletion(model, messages, { generation, signal, onDelta, onRetry } = {}) {
+  const { reasoningEffort, maxTokens } = getRequestLimits(model, generation)
+  const result = await withRetries((started) => getProvider(model).complete(model, messages, {
+    stream: true,
+    maxTokens,
+    reasoningEffort,
+    temperature: generation?.temperature,
+    topP: generation?.topP,
+    stop: generation?.stop,
+    signal,
+    onDelta: (text) => {
+      started()
+      onDelta?.(text)
+    }
+  }), { signal, onRetry })
+  return withUsage(result, messages)
+}
+
+/**
+ * Request a complete (non-streamed) completion from a model
+ */
+export async function createChatCompletion(model, messages, { signal, maxTokens = MAX_OUTPUT_TOKENS, onRetry } = {}) {
+  const result = await withRetries(
+    () => getProvider(model).complete(model, messages, { maxTokens, signal }),
+    { signal, onRetry }
+  )
+  return withUsage(result, messages)
+}
@@ -0,0 +1,135 @@
+/**
+ * Prompt complexity detection for the Complexity slider's "Auto" mode.
+ *
+ * Scores a prompt locally (nothing is sent anywhere) from simple signals:
+ * length, code, math, multi-step instructions, analytical wording and how
+ * deep the conversation already is. The score maps onto the same 1-5 scale
+ * as the slider, so the result can be passed straight to selectModel.
+ */
+
+// ============================================================================
+// CONFIGURATION - Signal patterns and weights
+// ============================================================================
+
+const CODE_BLOCK = /```/
+const INLINE_CODE = /`[^`\n]+`/
+const CODE_SYNTAX = /\b(function|const|let|def|class|import|return|SELECT|FROM)\b|=>|[{};]\s*$/m
+
+// Inline LaTeX ($...$, but not prices like "$5 or $10"), LaTeX commands,
+// math symbols, and arithmetic between numbers except what reads as an
+// unspaced date or range: minus needs spaces ("12 - 7", not 2024-05-01 or
+// 10-20; a spaced "10 - 20" still counts), and division can't be part of a
+// longer run of slashes (not 12/05/2024)
+const MATH_NOTATION = /\$(?![\d\s])[^$\n]+\$|\\(frac|sum|int|sqrt)|[∫∑√∂π≤≥≠]|\b\d+\s*[+*^=]\s*\d+|\b\d+\s+-\s+\d+|(?<![\d/])\d+\s*\/\s*\d+(?![\d/])/
+const MATH_WORDS = /\b(prove|proof|derivative|integral|equation|theorem|probability|matrix|optimi[sz]e|complexity of)\b/i
+
+const NUMBERED_STEPS = /^\s*(\d+[.)]|[-*•])\s+/gm
+const SEQUENCE_WORDS = /\b(step[- ]by[- ]step|first|then|after that|finally|and also)\b/gi
+
+const ANALYSIS_WORDS = /\b(why|explain|compare|analy[sz]e|design|architect|debug|refactor|trade-?offs?|evaluate|critique|plan)\b/i
+const SIMPLE_TASK_WORDS = /\b(translate|classify|label|summari[sz]e|spell|rephrase|define|list|what is|who is|yes or no)\b/i
+
+// Word counts at which a prompt counts as long / very long
+const LONG_PROMPT_WORDS = 150
+const VERY_LONG_PROMPT_WORDS = 400
+
+// Prior messages at which the conversation counts as deep / very deep
+const DEEP_CONVERSATION = 6
+const VERY_DEEP_CONVERSATION = 14
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+/**
+ * Measurable features of a prompt, shared by complexity inference and
+ * routing policy rules (see routing.js).
+ *
+ * Returns { words, hasCode, hasCodeBlock, hasMath, multiStep, analysis,
+ * simpleTask, messages } where messages is the length of the history.
+ */
+export function extractPromptFeatures(prompt, history = []) {
+  const text = prompt.trim()
+  const hasCodeBlock = CODE_BLOCK.test(text)
+  const steps = (text.match(NUMBERED_STEPS) || []).length
+  const sequenceWords = (text.match(SEQUENCE_WORDS) || []).length
+  const analysis = ANALYSIS_WORDS.test(text)
+
+  return {
+    words: text ? text.split(/\s+/).length : 0,
+    hasCode: hasCodeBlock || INLINE_CODE.test(text) || CODE_SYNTAX.test(text),
+    hasCodeBlock,
+    hasMath: MATH_NOTATION.test(text) || MATH_WORDS.test(text),
+    multiStep: steps >= 3 || sequenceWords >= 2,
+    analysis,
+    simpleTask: !analysis && SIMPLE_TASK_WORDS.test(text),
+    messages: history.length
+  }
+}
+
+// ============================================================================
+// INFERENCE
+// ============================================================================
+
+/**
+ * Infer a 1-5 complexity for a prompt.
+ *
+ * Returns { complexity, score, reasons } where reasons is a list of
+ * human-readable signals that moved the score, for display in the UI.
+ */
+export function inferComplexity(prompt, history = []) {
+  const features = extractPromptFeatures(prompt, history)
+  const { words, messages } = features
+  const reasons = []
+  let score = 0
+
+  const add = (points, reason) => {
+    score += points
+    reasons.push(reason)
+  }
+
+  // Length
+  if (words >= VERY_LONG_PROMPT_WORDS) {
+    add(2, `Very long prompt (${words} words)`)
+  } else if (words >= LONG_PROMPT_WORDS) {
+    add(1, `Long prompt (${words} words)`)
+  } else if (words > 0 && words <= 8) {
+    add(-0.5, `Short prompt (${words} word${words === 1 ? '' : 's'})`)
+  }
+
+  // Code
+  if (features.hasCodeBlock) {
+    add(1.5, 'Contains a code block')
+  } else if (features.hasCode) {
+    add(1, 'Mentions code')
+  }
+
+  // Math
+  if (features.hasMath) {
+    add(2, 'Math or formal reasoning')
+  }
+
+  // Multi-step instructions
+  if (features.multiStep) {
+    add(1, 'Multi-step instructions')
+  }
+
+  // Analytical vs. simple wording
+  if (features.analysis) {
+    add(1, 'Asks for analysis or explanation')
+  } else if (features.simpleTask) {
+    add(-0.5, 'Simple lookup/transform task')
+  }
+
+  // Conversation depth
+  if (messages >= VERY_DEEP_CONVERSATION) {
+    add(1, `Deep conversation (${messages} messages)`)
+  } else if (messages >= DEEP_CONVERSATION) {
+    add(0.5, `Ongoing conversation (${messages} messages)`)
+  }
+
+  const complexity = Math.max(1, Math.min(5, Math.round(1 + score)))
+  if (reasons.length === 0) reasons.push('No complexity signals found')
+
+  return { complexity, score, reasons }
+}
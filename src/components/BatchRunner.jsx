@@ -0,0 +1,360 @@
+import { useState, useRef, useEffect } from 'react'
+import { MODEL_TIERS, MODELS } from '../models.js'
+import { toApiMessages, streamChatCompletion } from '../chat.js'
+import { estimateTokens, estimateMessageTokens } from '../tokens.js'
+import { calculateCarbon, formatEnergy, formatCarbon } from '../energy.js'
+import { getAttemptOutcome, buildAttempt } from '../cascade.js'
+import { describeError } from '../requestErrors.js'
+import { downloadFile, tierLabel } from '../analytics.js'
+import {
+  MAX_CONCURRENCY,
+  DEFAULT_BATCH_OPTIONS,
+  parseBatchFile,
+  routeBatchRow,
+  createBatchScheduler,
+  buildBatchResults,
+  batchResultsToCsv,
+  batchResultsToJsonl
+} from '../batch.js'
+
+// Row statuses and how they're shown
+const ROW_STATUSES = {
+  pending: 'Waiting',
+  running: 'Running…',
+  done: '✓ Done',
+  error: '✗ Failed',
+  stopped: '■ Stopped',
+  skipped: '– Skipped'
+}
+
+// Characters of prompt and output shown in the table (the export has all)
+const PREVIEW_CHARS = 80
+
+const preview = (text) => (text && text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text)
+
+/**
+ * Run a CSV or JSONL file of prompts, each routed through the active
+ * policy with the current sliders (or pinned to one model), and export
+ * the results. Batch calls count toward budgets but not conversation stats.
+ *
+ * `settings` are the sliders and generation overrides of the active
+ * conversation. Each row is routed when it starts, so budget spent by
+ * earlier rows lowers the tier cap for later ones.
+ */
+function BatchRunner({
+  hidden,
+  policy,
+  settings,
+  systemPrompt,
+  budgetUsed,
+  maxTier,
+  carbonIntensity,
+  confirmSend,
+  onSpend
+}) {
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [errors, setErrors] = useState([])
+  const [pinnedModelId, setPinnedModelId] = useState('')
+  const [concurrency, setConcurrency] = useState(DEFAULT_BATCH_OPTIONS.concurrency)
+  const [requestsPerMinute, setRequestsPerMinute] = useState(DEFAULT_BATCH_OPTIONS.requestsPerMinute)
+  // idle (nothing started), running, paused or done
+  const [status, setStatus] = useState('idle')
+
+  // The scheduler of the current run, and the controller that Stop aborts
+  const schedulerRef = useRef(null)
+  const abortControllerRef = useRef(null)
+
+  // What rows are routed with, kept current for rows that start later in
+  // the run (the scheduler keeps the runRow of the start)
+  const routingRef = useRef(null)
+  useEffect(() => {
+    routingRef.current = { policy, settings, budgetUsed, maxTier, pinnedModelId: pinnedModelId || null }
+  }, [policy, settings, budgetUsed, maxTier, pinnedModelId])
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map(r => r.index === index ? { ...r, ...changes } : r))
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      setRows(parseBatchFile(await file.text(), file.name).map(row => ({ ...row, status: 'pending' })))
+      setFileName(file.name)
+      setErrors([])
+      setStatus('idle')
+    } catch (err) {
+      setErrors(err.message.split('\n'))
+    }
+  }
+
+  const overCapError = (modelId) => ({
+    message: `${MODELS[routingRef.current.pinnedModelId || modelId].name} is above the budget tier cap`
+  })
+
+  /**
+   * Route one row under the current budget, answer it and bill it. A row
+   * pinned to a model that is now over the tier cap is skipped. Never
+   * rejects, so the scheduler keeps going.
+   */
+  const runRow = async ({ index, prompt, modelId }) => {
+    const route = routeBatchRow({ prompt, modelId }, routingRef.current)
+    if (!route) {
+      updateRow(index, { status: 'skipped', error: overCapError(modelId) })
+      return
+    }
+    const { model, generation } = route
+    const signal = abortControllerRef.current.signal
+    const apiMessages = toApiMessages([{ text: prompt, isUser: true }], null, systemPrompt)
+    const startedAt = performance.now()
+    let received = ''
+    updateRow(index, { status: 'running', model, generation, routedBy: route.routedBy })
+
+    try {
+      const result = await streamChatCompletion(model, apiMessages, {
+        generation,
+        signal,
+        onDelta: (text) => { received = text }
+      })
+      const attempt = buildAttempt(model, result.usage, getAttemptOutcome(result))
+      updateRow(index, {
+        status: 'done',
+        text: result.text || result.refusal,
+        attempt,
+        latencyMs: performance.now() - startedAt
+      })
+      onSpend({ cost: attempt.cost, energyWh: attempt.energyWh })
+    } catch (err) {
+      // Same billing rule as the chat: a stopped request is billed from
+      // estimates, a failed one only if it produced text
+      const stopped = err.name === 'AbortError'
+      const attempt = stopped || received
+        ? buildAttempt(model, {
+          prompt_tokens: estimateMessageTokens(apiMessages),
+          completion_tokens: estimateTokens(received)
+        }, 'stopped')
+        : null
+      updateRow(index, {
+        status: stopped ? 'stopped' : 'error',
+        text: received || null,
+        error: stopped ? null : describeError(err),
+        attempt,
+        latencyMs: performance.now() - startedAt
+      })
+      if (attempt) onSpend({ cost: attempt.cost, energyWh: attempt.energyWh })
+    }
+  }
+
+  /**
+   * Confirm the estimated spend of the waiting rows against budgets, and
+   * start. Rows are routed here only for the estimate.
+   */
+  const start = () => {
+    const routed = rows.map(row => row.status === 'pending'
+      ? { ...row, route: routeBatchRow(row, routingRef.current) }
+      : row)
+    const runnable = routed.filter(row => row.route)
+    if (runnable.length === 0) return
+
+    const averagePromptTokens = Math.round(runnable.reduce((sum, row) =>
+      sum + estimateMessageTokens(toApiMessages([{ text: row.prompt, isUser: true }], null, systemPrompt)), 0
+    ) / runnable.length)
+    if (!confirmSend(averagePromptTokens, runnable.map(row => row.route.model))) return
+
+    setRows(routed.map(({ route, ...row }) => row.status === 'pending' && !route
+      ? { ...row, status: 'skipped', error: overCapError(row.modelId) }
+      : row))
+
+    abortControllerRef.current = new AbortController()
+    schedulerRef.current = createBatchScheduler(
+      runnable.map(row => ({ index: row.index, prompt: row.prompt, modelId: row.modelId })),
+      {
+        concurrency,
+        requestsPerMinute,
+        runItem: runRow,
+        onIdle: (waiting) => setStatus(waiting > 0 ? 'paused' : 'done')
+      }
+    )
+    setStatus('running')
+    schedulerRef.current.start()
+  }
+
+  const pause = () => {
+    setStatus('paused')
+    schedulerRef.current.pause()
+  }
+
+  const resume = () => {
+    if (abortControllerRef.current.signal.aborted) abortControllerRef.current = new AbortController()
+    setStatus('running')
+    schedulerRef.current.resume()
+  }
+
+  // Pause and abort the rows in flight; waiting rows can still be resumed
+  const stop = () => {
+    pause()
+    abortControllerRef.current.abort()
+  }
+
+  const exportResults = (format) => {
+    const results = buildBatchResults(rows)
+    const base = fileName.replace(/\.[^.]+$/, '') || 'batch'
+    if (format === 'csv') downloadFile(`${base}-results.csv`, batchResultsToCsv(results), 'text/csv')
+    else downloadFile(`${base}-results.jsonl`, batchResultsToJsonl(results), 'application/x-ndjson')
+  }
+
+  const counts = Object.fromEntries(Object.keys(ROW_STATUSES).map(s => [s, rows.filter(r => r.status === s).length]))
+  const finished = rows.length - counts.pending - counts.running
+  const billed = rows.filter(r => r.attempt)
+  const totalCost = billed.reduce((sum, r) => sum + r.attempt.cost, 0)
+  const totalEnergy = billed.reduce((sum, r) => sum + r.attempt.energyWh, 0)
+  const modelMix = Object.entries(rows.reduce((mix, r) => {
+    if (r.model) mix[r.model.name] = (mix[r.model.name] || 0) + 1
+    return mix
+  }, {}))
+  const isActive = status === 'running' || counts.running > 0
+
+  return (
+    <section className="compare-view batch-runner" hidden={hidden}>
+      <div className="dashboard-header">
+        <h2>Batch Run</h2>
+        <div className="dashboard-actions">
+          <label className="policy-import">
+            {rows.length > 0 ? 'Load another file' : 'Load CSV or JSONL'}
+            <input
+              type="file"
+              accept=".csv,.jsonl,.ndjson,text/csv,application/x-ndjson"
+              onChange={handleFile}
+              disabled={isActive}
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="dashboard-card compare-setup">
+        <p className="policy-description">
+          CSV needs a header row with a <code>prompt</code> column; JSONL needs a <code>prompt</code> field
+          on each line. An optional <code>id</code>, and a <code>model</code> (model ID) to pin that row, are
+          kept too.
+        </p>
+        {errors.length > 0 && (
+          <ul className="policy-errors">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <div className="batch-options">
+          <label className="history-setting">
+            Route:
+            <select
+              value={pinnedModelId}
+              onChange={(e) => setPinnedModelId(e.target.value)}
+              disabled={status !== 'idle'}
+            >
+              <option value="">Each prompt through "{policy.name}"</option>
+              {MODEL_TIERS.map((modelId, idx) => (
+                <option key={modelId} value={modelId} disabled={idx + 1 > maxTier}>
+                  All to {tierLabel(idx + 1, modelId)}{idx + 1 > maxTier ? ' (over budget)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="history-setting">
+            Concurrency:
+            <input
+              type="number"
+              min={1}
+              max={MAX_CONCURRENCY}
+              value={concurrency}
+              onChange={(e) => setConcurrency(Math.min(MAX_CONCURRENCY, Math.max(1, Number(e.target.value) || 1)))}
+              disabled={status !== 'idle'}
+            />
+          </label>
+          <label className="history-setting">
+            Requests per minute:
+            <input
+              type="number"
+              min={0}
+              value={requestsPerMinute}
+              onChange={(e) => setRequestsPerMinute(Math.max(0, Number(e.target.value) || 0))}
+              disabled={status !== 'idle'}
+            />
+            <small>(0 = no limit)</small>
+          </label>
+        </div>
+
+        <div className="compare-actions">
+          <small>
+            {rows.length === 0
+              ? 'Load a file to start.'
+              : `${finished}/${rows.length} finished` +
+                (counts.error ? `, ${counts.error} failed` : '') +
+                (counts.stopped ? `, ${counts.stopped} stopped` : '') +
+                (counts.skipped ? `, ${counts.skipped} skipped` : '') +
+                (billed.length > 0
+                  ? ` · $${totalCost.toFixed(4)} · ${formatEnergy(totalEnergy)} · ` +
+                    formatCarbon(calculateCarbon(totalEnergy, carbonIntensity))
+                  : '')}
+          </small>
+          <div className="dashboard-actions">
+            {status === 'idle' && (
+              <button className="send-button" onClick={start} disabled={counts.pending === 0}>
+                Run {counts.pending} prompt{counts.pending === 1 ? '' : 's'}
+              </button>
+            )}
+            {status === 'running' && <button className="send-button" onClick={pause}>Pause</button>}
+            {status === 'paused' && counts.pending > 0 && (
+              <button className="send-button" onClick={resume}>Resume</button>
+            )}
+            {isActive && (
+              <button className="send-button stop-button" onClick={stop}>Stop</button>
+            )}
+            <button onClick={() => exportResults('csv')} disabled={finished === 0}>Results CSV</button>
+            <button onClick={() => exportResults('jsonl')} disabled={finished === 0}>Results JSONL</button>
+          </div>
+        </div>
+        {modelMix.length > 0 && (
+          <p className="policy-description">
+            Routed: {modelMix.map(([name, count]) => `${count} × ${name}`).join(', ')}
+          </p>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="dashboard-card batch-table">
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Prompt</th>
+                <th>Model</th>
+                <th>Status</th>
+                <th>Output</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.index}>
+                  <td>{row.id}</td>
+                  <td title={row.prompt}>{preview(row.prompt)}</td>
+                  <td>{row.model ? row.model.name : row.modelId ? `${MODELS[row.modelId].name} (pinned)` : ''}</td>
+                  <td title={row.error?.hint}>
+                    {ROW_STATUSES[row.status]}
+                    {row.error && ` ${row.error.label ? `${row.error.label}: ` : ''}${row.error.message}`}
+                  </td>
+                  <td title={row.text ?? undefined}>{preview(row.text)}</td>
+                  <td>{row.attempt ? `$${row.attempt.cost.toFixed(5)}` : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default BatchRunner
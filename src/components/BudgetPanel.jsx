@@ -0,0 +1,130 @@
+import { MODEL_TIERS } from '../models.js'
+import { modelForTier } from '../cascade.js'
+import {
+  BUDGET_UNITS,
+  BUDGET_PERIODS,
+  createBudget,
+  formatBudgetAmount
+} from '../budget.js'
+
+/**
+ * Daily/monthly budgets with progress, the tier cap they impose,
+ * and an override once a budget is used up
+ */
+function BudgetPanel({
+  budgets,
+  statuses,
+  tierCap,
+  overrideActive,
+  overrideLog,
+  onChange,
+  onOverride
+}) {
+  const statusById = Object.fromEntries(statuses.map(s => [s.budget.id, s]))
+  const exhausted = statuses.filter(s => s.exhausted)
+
+  const updateBudget = (id, changes) => {
+    onChange(budgets.map(b => b.id === id ? { ...b, ...changes } : b))
+  }
+
+  return (
+    <div className="budget-panel">
+      <div className="budget-header">
+        <strong>Budgets</strong>
+        <button className="budget-add" onClick={() => onChange([...budgets, createBudget()])}>
+          + Add
+        </button>
+      </div>
+
+      {budgets.length === 0 && (
+        <p className="budget-note">No budgets set. Add one to cap spend or energy per day or month.</p>
+      )}
+
+      {budgets.map(budget => {
+        const status = statusById[budget.id]
+        const percent = status ? Math.min(100, status.fraction * 100) : 0
+        return (
+          <div key={budget.id} className="budget-row">
+            <div className="budget-fields">
+              <select
+                value={budget.period}
+                onChange={(e) => updateBudget(budget.id, { period: e.target.value })}
+              >
+                {Object.entries(BUDGET_PERIODS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={budget.limit}
+                onChange={(e) => updateBudget(budget.id, { limit: Number(e.target.value) })}
+              />
+              <select
+                value={budget.unit}
+                onChange={(e) => updateBudget(budget.id, { unit: e.target.value })}
+              >
+                {Object.entries(BUDGET_UNITS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                className="budget-remove"
+                onClick={() => onChange(budgets.filter(b => b.id !== budget.id))}
+                title="Remove budget"
+              >
+                ×
+              </button>
+            </div>
+            {status && (
+              <>
+                <div className="budget-bar">
+                  <div
+                    className={`budget-bar-fill ${status.exhausted ? 'exhausted' : ''}`}
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+                <div className="budget-usage">
+                  {formatBudgetAmount(status.spent, budget.unit)} of{' '}
+                  {formatBudgetAmount(budget.limit, budget.unit)} used
+                </div>
+              </>
+            )}
+          </div>
+        )
+      })}
+
+      {tierCap < MODEL_TIERS.length && (
+        <p className="budget-cap">
+          Routing is limited to tier {tierCap} ({modelForTier(tierCap).name}) or below.
+        </p>
+      )}
+
+      {exhausted.length > 0 && (
+        overrideActive ? (
+          <p className="budget-cap">Override active: the next message may use any tier.</p>
+        ) : (
+          <button className="budget-override" onClick={onOverride}>
+            Override for next message
+          </button>
+        )
+      )}
+
+      {overrideLog.length > 0 && (
+        <details className="budget-log">
+          <summary>Override log ({overrideLog.length})</summary>
+          <ul>
+            {[...overrideLog].reverse().map(entry => (
+              <li key={entry.timestamp}>
+                {new Date(entry.timestamp).toLocaleString()}: {entry.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default BudgetPanel
@@ -0,0 +1,290 @@
+import { useState, useRef } from 'react'
+import { MODEL_TIERS } from '../models.js'
+import { toApiMessages, streamChatCompletion } from '../chat.js'
+import { estimateTokens, estimateMessageTokens } from '../tokens.js'
+import { calculateCarbon, formatEnergy, formatCarbon } from '../energy.js'
+import { modelForTier, getAttemptOutcome, buildAttempt } from '../cascade.js'
+import { describeError } from '../requestErrors.js'
+import { tierLabel } from '../analytics.js'
+import { inferComplexity } from '../complexity.js'
+import {
+  recordComparisonWinner,
+  comparisonWinsFor
+} from '../preferenceSignals.js'
+
+const MIN_COLUMNS = 2
+const MAX_COLUMNS = 3
+
+/**
+ * Default tiers to compare: the cheapest two plus the one the sliders pick
+ */
+function defaultTiers(selectedTier, maxTier) {
+  const tiers = new Set([1, 2, selectedTier])
+  for (let tier = 3; tiers.size < MAX_COLUMNS && tier <= maxTier; tier++) tiers.add(tier)
+  return [...tiers].filter(tier => tier <= maxTier).sort((a, b) => a - b)
+}
+
+/**
+ * One model's answer with its latency, tokens, cost and energy
+ */
+function CompareColumn({ column, isWinner, canPick, onPick, carbonIntensity }) {
+  const { model, text, status, attempt, latencyMs, firstTokenMs, error } = column
+
+  return (
+    <div
+      className={`compare-column ${isWinner ? 'winner' : ''}`}
+      style={{ borderColor: model.color }}
+    >
+      <div className="compare-column-header" style={{ color: model.color }}>
+        <strong>{model.name}</strong>
+        <span>Tier {model.tier}</span>
+      </div>
+
+      <div className={`compare-text ${status === 'streaming' ? 'streaming' : ''}`}>
+        {text || (status === 'streaming' ? 'Thinking...' : '')}
+        {status === 'stopped' && <span className="message-stopped"> [stopped]</span>}
+        {status === 'error' && (
+          <div className="chat-error" title={error.hint}>
+            <strong>{error.label}:</strong> {error.message}
+          </div>
+        )}
+      </div>
+
+      {latencyMs !== undefined && (
+        <dl className="compare-metrics">
+          <dt>Latency</dt>
+          <dd>
+            {(latencyMs / 1000).toFixed(2)}s
+            {firstTokenMs !== null && ` (first token ${(firstTokenMs / 1000).toFixed(2)}s)`}
+          </dd>
+          {attempt && (
+            <>
+              <dt>Tokens</dt>
+              <dd>{attempt.usage.promptTokens} in · {attempt.usage.completionTokens} out</dd>
+              <dt>Cost</dt>
+              <dd>${attempt.cost.toFixed(6)}</dd>
+              <dt>Energy</dt>
+              <dd>
+                {formatEnergy(attempt.energyWh)} ·{' '}
+                {formatCarbon(calculateCarbon(attempt.energyWh, carbonIntensity))}
+              </dd>
+            </>
+          )}
+        </dl>
+      )}
+
+      {isWinner ? (
+        <div className="compare-winner-badge">★ Your pick</div>
+      ) : canPick && status === 'done' && (
+        <button className="compare-pick" onClick={onPick}>Pick as winner</button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Send one prompt to 2-3 tiers at once and compare the answers side by side.
+ * The winner the user picks is saved as a preference signal for prompts of
+ * that kind (see preferenceSignals.js), alongside the ratings of chat
+ * answers, so the app keeps `signals`. Every column uses the current
+ * system prompt, reasoning effort and answer length, so the comparison is
+ * like for like.
+ */
+function CompareView({
+  hidden,
+  model,
+  maxTier,
+  settings,
+  generation,
+  systemPrompt,
+  carbonIntensity,
+  signals,
+  onSignalsChange,
+  confirmSend,
+  onSpend
+}) {
+  const [prompt, setPrompt] = useState('')
+  const [tiers, setTiers] = useState(() => defaultTiers(model.tier, maxTier))
+  const [columns, setColumns] = useState([])
+  const [comparedPrompt, setComparedPrompt] = useState('')
+  const [isRunning, setIsRunning] = useState(false)
+  const [winnerTier, setWinnerTier] = useState(null)
+
+  // Aborts every column's request when the user clicks Stop
+  const abortControllerRef = useRef(null)
+
+  const toggleTier = (tier) => {
+    setTiers(prev => prev.includes(tier)
+      ? prev.filter(t => t !== tier)
+      : [...prev, tier].sort((a, b) => a - b))
+  }
+
+  const updateColumn = (tier, changes) => {
+    setColumns(prev => prev.map(c => c.model.tier === tier ? { ...c, ...changes } : c))
+  }
+
+  /**
+   * Stream one tier's answer into its column. Resolves with the attempt to
+   * bill, or null if nothing was billed.
+   */
+  const runColumn = async (columnModel, apiMessages, signal) => {
+    const startedAt = performance.now()
+    let firstTokenMs = null
+    let received = ''
+
+    try {
+      const result = await streamChatCompletion(columnModel, apiMessages, {
+        generation,
+        signal,
+        onDelta: (text) => {
+          if (firstTokenMs === null) firstTokenMs = performance.now() - startedAt
+          received = text
+          updateColumn(columnModel.tier, { text })
+        }
+      })
+      const attempt = buildAttempt(columnModel, result.usage, getAttemptOutcome(result))
+      updateColumn(columnModel.tier, {
+        text: result.text || result.refusal,
+        status: 'done',
+        attempt,
+        latencyMs: performance.now() - startedAt,
+        firstTokenMs
+      })
+      return attempt
+    } catch (err) {
+      // Same billing rule as the chat: a stopped request is billed from
+      // estimates, a failed one only if it produced text
+      const stopped = err.name === 'AbortError'
+      const attempt = stopped || received
+        ? buildAttempt(columnModel, {
+          prompt_tokens: estimateMessageTokens(apiMessages),
+          completion_tokens: estimateTokens(received)
+        }, 'stopped')
+        : null
+      updateColumn(columnModel.tier, {
+        status: stopped ? 'stopped' : 'error',
+        error: describeError(err),
+        attempt,
+        latencyMs: performance.now() - startedAt,
+        firstTokenMs
+      })
+      return attempt
+    }
+  }
+
+  // Tiers ticked before the budget cap dropped stay ticked but aren't sent
+  const runnableTiers = tiers.filter(tier => tier <= maxTier)
+
+  const runComparison = async () => {
+    const text = prompt.trim()
+    const models = runnableTiers.map(modelForTier)
+    const apiMessages = toApiMessages([{ text, isUser: true }], null, systemPrompt)
+    if (!confirmSend(estimateMessageTokens(apiMessages), models)) return
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    setIsRunning(true)
+    setWinnerTier(null)
+    setComparedPrompt(text)
+    setColumns(models.map(m => ({ model: m, text: '', status: 'streaming' })))
+
+    const attempts = (await Promise.all(
+      models.map(m => runColumn(m, apiMessages, controller.signal))
+    )).filter(Boolean)
+
+    onSpend({
+      cost: attempts.reduce((sum, a) => sum + a.cost, 0),
+      energyWh: attempts.reduce((sum, a) => sum + a.energyWh, 0)
+    })
+    abortControllerRef.current = null
+    setIsRunning(false)
+  }
+
+  const pickWinner = (column) => {
+    setWinnerTier(column.model.tier)
+    onSignalsChange(recordComparisonWinner(signals, {
+      prompt: comparedPrompt,
+      settings,
+      candidates: columns.map(c => c.model),
+      winner: { tier: column.model.tier, modelId: column.model.id }
+    }))
+  }
+
+  const canRun = prompt.trim() && runnableTiers.length >= MIN_COLUMNS && runnableTiers.length <= MAX_COLUMNS
+  const promptKind = comparedPrompt ? inferComplexity(comparedPrompt, []) : null
+  const wins = promptKind ? comparisonWinsFor(signals, promptKind.complexity) : {}
+
+  return (
+    <section className="compare-view" hidden={hidden}>
+      <div className="dashboard-header">
+        <h2>Compare Models</h2>
+      </div>
+
+      <div className="dashboard-card compare-setup">
+        <textarea
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          placeholder="Type a prompt to send to every selected model..."
+          className="compare-prompt"
+          rows={3}
+          disabled={isRunning}
+        />
+        <div className="compare-tiers">
+          {MODEL_TIERS.map((modelId, idx) => {
+            const tier = idx + 1
+            const checked = tiers.includes(tier)
+            return (
+              <label key={modelId} className="auto-toggle" title={tier > maxTier ? 'Over budget' : undefined}>
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={isRunning || (!checked && (tier > maxTier || tiers.length >= MAX_COLUMNS))}
+                  onChange={() => toggleTier(tier)}
+                />
+                {tierLabel(tier, modelId)}
+              </label>
+            )
+          })}
+        </div>
+        <div className="compare-actions">
+          <small>Pick {MIN_COLUMNS}-{MAX_COLUMNS} models. Each one is billed.</small>
+          {isRunning ? (
+            <button className="send-button stop-button" onClick={() => abortControllerRef.current?.abort()}>
+              Stop
+            </button>
+          ) : (
+            <button className="send-button" onClick={runComparison} disabled={!canRun}>
+              Compare
+            </button>
+          )}
+        </div>
+      </div>
+
+      {columns.length > 0 && (
+        <div className="compare-columns">
+          {columns.map(column => (
+            <CompareColumn
+              key={column.model.id}
+              column={column}
+              isWinner={winnerTier === column.model.tier}
+              canPick={!isRunning && winnerTier === null}
+              onPick={() => pickWinner(column)}
+              carbonIntensity={carbonIntensity}
+            />
+          ))}
+        </div>
+      )}
+
+      {winnerTier !== null && (
+        <p className="compare-signal">
+          Saved. For complexity-{promptKind.complexity} prompts you've picked:{' '}
+          {Object.entries(wins)
+            .map(([tier, count]) => `${tierLabel(Number(tier), MODEL_TIERS[tier - 1])} ×${count}`)
+            .join(', ')}
+        </p>
+      )}
+    </section>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { getConversationTitle } from '../storage.js'
+
+/**
+ * Sidebar listing saved conversations, with create, rename, switch and delete
+ */
+function ConversationSidebar({
+  conversations,
+  activeId,
+  disabled,
+  onCreate,
+  onSwitch,
+  onRename,
+  onDelete
+}) {
+  // ID of the conversation whose title is being edited, and the draft title
+  const [editingId, setEditingId] = useState(null)
+  const [draftTitle, setDraftTitle] = useState('')
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id)
+    setDraftTitle(getConversationTitle(conversation))
+  }
+
+  const finishRename = () => {
+    if (editingId) onRename(editingId, draftTitle.trim())
+    setEditingId(null)
+  }
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Delete "${getConversationTitle(conversation)}"?`)) {
+      onDelete(conversation.id)
+    }
+  }
+
+  return (
+    <aside className="conversation-sidebar">
+      <div className="sidebar-header">
+        <h2>Conversations</h2>
+        <button className="new-chat-btn" onClick={onCreate} disabled={disabled}>
+          + New
+        </button>
+      </div>
+
+      <ul className="conversation-list">
+        {conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`conversation-item ${conversation.id === activeId ? 'active' : ''}`}
+          >
+            {editingId === conversation.id ? (
+              <input
+                className="conversation-rename"
+                value={draftTitle}
+                autoFocus
+                onChange={(e) => setDraftTitle(e.target.value)}
+                onBlur={finishRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishRename()
+                  if (e.key === 'Escape') setEditingId(null)
+                }}
+              />
+            ) : (
+              <button
+                className="conversation-title"
+                onClick={() => onSwitch(conversation.id)}
+                onDoubleClick={() => startRename(conversation)}
+                disabled={disabled}
+                title={new Date(conversation.createdAt).toLocaleString()}
+              >
+                {getConversationTitle(conversation)}
+                <small>{conversation.messages.filter(m => !m.isUser).length} replies</small>
+              </button>
+            )}
+            <div className="conversation-actions">
+              <button onClick={() => startRename(conversation)} title="Rename">✎</button>
+              <button
+                onClick={() => handleDelete(conversation)}
+                disabled={disabled}
+                title="Delete"
+              >
+                🗑
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  )
+}
+
+export default ConversationSidebar
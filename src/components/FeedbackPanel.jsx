@@ -0,0 +1,93 @@
+import { MODEL_TIERS } from '../models.js'
+import { adjustTierFromFeedback, feedbackFor, summarizeFeedback } from '../preferenceSignals.js'
+
+/**
+ * Adaptive routing: the toggle, and for every kind of prompt that has been
+ * rated, the ratings, what they currently do to routing (which policy
+ * tiers they move, and where to) and how many sent messages they moved.
+ *
+ * `draftKind` is the kind of the prompt being typed, if any, so its row
+ * can be highlighted.
+ */
+function FeedbackPanel({ enabled, onToggle, signals, draftKind, conversations, onClear }) {
+  const kinds = summarizeFeedback(signals)
+
+  // Sent messages whose tier ratings moved, by kind
+  const moved = {}
+  for (const conversation of conversations) {
+    for (const message of conversation.messages) {
+      if (!message.adapted) continue
+      const { kind, from, to } = message.adapted
+      if (!moved[kind]) moved[kind] = { up: 0, down: 0 }
+      moved[kind][to > from ? 'up' : 'down']++
+    }
+  }
+
+  return (
+    <div className="cascade-settings feedback-panel">
+      <label className="auto-toggle">
+        <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+        Adaptive routing: learn from ratings
+      </label>
+      <p className="cascade-range">
+        {kinds.length === 0
+          ? 'Rate answers with 👍/👎 or "too weak"/"overkill" to teach routing which tier each kind of prompt needs.'
+          : `Ratings of similar prompts move the policy's tier${enabled ? '' : ' (when turned on)'}.`}
+      </p>
+      {kinds.length > 0 && (
+        <table className="dashboard-table feedback-table">
+          <thead>
+            <tr>
+              <th>Kind of prompt</th>
+              <th>Ratings</th>
+              <th>Learned</th>
+              <th>Moved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {kinds.map(kind => {
+              const feedback = feedbackFor(signals, kind.key)
+              const changes = MODEL_TIERS
+                .map((_, idx) => ({ from: idx + 1, to: adjustTierFromFeedback(idx + 1, feedback).tier }))
+                .filter(change => change.to !== change.from)
+              const counts = moved[kind.key]
+              return (
+                <tr key={kind.key} className={kind.key === draftKind?.key ? 'current' : ''}>
+                  <td>{kind.label}</td>
+                  <td>
+                    👍 {kind.thumbsUp} · 👎 {kind.thumbsDown}
+                    {kind.tooWeak > 0 && ` · ${kind.tooWeak} too weak`}
+                    {kind.overkill > 0 && ` · ${kind.overkill} overkill`}
+                  </td>
+                  <td>
+                    {changes.length > 0
+                      ? changes.map(change => `${change.from} → ${change.to}`).join(', ')
+                      : 'no change yet'}
+                  </td>
+                  <td>
+                    {counts
+                      ? [counts.down && `${counts.down} down`, counts.up && `${counts.up} up`].filter(Boolean).join(', ')
+                      : '–'}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+      {kinds.length > 0 && (
+        <p className="cascade-range">
+          Learned: policy tier → tier used. Moved: sent messages that went to another tier because of it.{' '}
+          <button
+            className="link-btn"
+            onClick={() => window.confirm('Forget every rating?') && onClear()}
+          >
+            Clear ratings
+          </button>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default FeedbackPanel
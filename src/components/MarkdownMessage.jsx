@@ -0,0 +1,72 @@
+import { useRef, useState } from 'react'
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import rehypeHighlight from 'rehype-highlight'
+
+// How long the "Copied" confirmation stays on a code block's button
+const COPIED_MS = 1500
+
+/**
+ * Fenced code block with a copy button. The code's language (from the
+ * fence) is shown in the header when there is one.
+ */
+function CodeBlock({ children }) {
+  const preRef = useRef(null)
+  const [copied, setCopied] = useState(false)
+  const language = /language-(\S+)/.exec(children?.props?.className || '')?.[1]
+
+  const copy = () => {
+    navigator.clipboard.writeText(preRef.current.textContent).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), COPIED_MS)
+    }).catch((err) => console.warn('Could not copy code:', err))
+  }
+
+  return (
+    <div className="code-block">
+      <div className="code-block-header">
+        <span>{language || 'code'}</span>
+        <button onClick={copy}>{copied ? 'Copied' : 'Copy'}</button>
+      </div>
+      <pre ref={preRef}>{children}</pre>
+    </div>
+  )
+}
+
+// Element overrides: code blocks get a copy button, tables scroll
+// sideways instead of stretching the bubble, and links open in a new tab
+const COMPONENTS = {
+  pre: CodeBlock,
+  table: ({ children }) => (
+    <div className="markdown-table">
+      <table>{children}</table>
+    </div>
+  ),
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+  )
+}
+
+/**
+ * Model output rendered as GitHub-flavored markdown (tables, strikethrough,
+ * task lists) with highlighted code.
+ *
+ * Raw HTML in the text is escaped and shown as text, never injected
+ * (react-markdown only renders HTML with a raw-HTML plugin), and unsafe
+ * link protocols such as javascript: are stripped.
+ */
+function MarkdownMessage({ text }) {
+  return (
+    <div className="markdown">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeHighlight]}
+        components={COMPONENTS}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  )
+}
+
+export default MarkdownMessage
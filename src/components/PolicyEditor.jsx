@@ -0,0 +1,190 @@
+import { useState } from 'react'
+import { downloadFile } from '../analytics.js'
+import SliderSpaceMap from './SliderSpaceMap.jsx'
+import {
+  validatePolicy,
+  parsePolicyImport,
+  policyToJson,
+  describeConditions,
+  describeAction
+} from '../routing.js'
+
+// Starting point for a new policy: everything to tier 1
+const BLANK_POLICY = {
+  name: 'New policy',
+  description: '',
+  rules: [{ name: 'Everything', when: {}, then: { tier: 1 } }]
+}
+
+/**
+ * Rules of a policy in plain words, in evaluation order
+ */
+function RuleList({ rules }) {
+  return (
+    <ol className="policy-rules">
+      {rules.map((rule, idx) => (
+        <li key={idx}>
+          {rule.name && <strong>{rule.name}: </strong>}
+          if {describeConditions(rule.when)} → {describeAction(rule.then)}
+          {rule.stop && <em> (then stop)</em>}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+/**
+ * List, edit, validate, import and export routing policies, with a map of
+ * where each sends every slider combination. Policies are edited as JSON;
+ * the built-in default is read-only.
+ */
+function PolicyEditor({ policies, activeId, onActivate, onSave, onDelete, onImport, currentSettings }) {
+  const [selectedId, setSelectedId] = useState(activeId)
+  const selected = policies.find(p => p.id === selectedId) || policies[0]
+
+  // JSON being edited, and the result of the last validation or import
+  const [draft, setDraft] = useState(() => policyToJson(selected))
+  const [errors, setErrors] = useState([])
+  const [notice, setNotice] = useState('')
+
+  const select = (policy) => {
+    setSelectedId(policy.id)
+    setDraft(policyToJson(policy))
+    setErrors([])
+    setNotice('')
+  }
+
+  /**
+   * Parse and validate the draft. Returns the policy, or null if invalid.
+   */
+  const checkDraft = () => {
+    let parsed
+    try {
+      parsed = JSON.parse(draft)
+    } catch (err) {
+      setErrors([`Not valid JSON: ${err.message}`])
+      setNotice('')
+      return null
+    }
+    const problems = validatePolicy(parsed)
+    setErrors(problems)
+    setNotice(problems.length === 0 ? 'Policy is valid.' : '')
+    return problems.length === 0 ? parsed : null
+  }
+
+  const saveDraft = () => {
+    const parsed = checkDraft()
+    if (!parsed) return
+    onSave({ ...parsed, id: selected.id })
+    setNotice('Saved.')
+  }
+
+  const saveAsNew = (data) => {
+    const { id: _id, builtIn: _builtIn, ...rest } = data
+    const policy = { ...rest, id: crypto.randomUUID() }
+    onSave(policy)
+    select(policy)
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the policy "${selected.name}"?`)) {
+      onDelete(selected.id)
+      select(policies[0])
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = parsePolicyImport(await file.text())
+      onImport(imported)
+      select(imported[0])
+      setNotice(`Imported ${imported.length} polic${imported.length === 1 ? 'y' : 'ies'}.`)
+    } catch (err) {
+      setErrors(err.message.split('\n'))
+      setNotice('')
+    }
+  }
+
+  const fileName = `${selected.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-policy.json`
+
+  return (
+    <section className="usage-dashboard policy-editor">
+      <div className="dashboard-header">
+        <h2>Routing Policies</h2>
+        <div className="dashboard-actions">
+          <button onClick={() => saveAsNew(BLANK_POLICY)}>New policy</button>
+          <label className="policy-import">
+            Import JSON
+            <input type="file" accept="application/json,.json" onChange={handleImport} />
+          </label>
+        </div>
+      </div>
+
+      <div className="policy-layout">
+        <div className="dashboard-card policy-list">
+          {policies.map(policy => (
+            <button
+              key={policy.id}
+              className={`policy-list-item ${policy.id === selected.id ? 'selected' : ''}`}
+              onClick={() => select(policy)}
+            >
+              {policy.id === activeId ? '● ' : ''}{policy.name}
+              {policy.builtIn && <small> (built-in)</small>}
+            </button>
+          ))}
+        </div>
+
+        <div className="dashboard-card policy-detail">
+          <h3>{selected.name}</h3>
+          {selected.description && <p className="policy-description">{selected.description}</p>}
+
+          <div className="dashboard-actions">
+            <button onClick={() => onActivate(selected.id)} disabled={selected.id === activeId}>
+              {selected.id === activeId ? 'In use' : 'Use this policy'}
+            </button>
+            <button onClick={() => saveAsNew({ ...selected, name: `${selected.name} (copy)` })}>
+              Duplicate
+            </button>
+            <button onClick={() => downloadFile(fileName, policyToJson(selected), 'application/json')}>
+              Export JSON
+            </button>
+            {!selected.builtIn && <button onClick={handleDelete}>Delete</button>}
+          </div>
+
+          <RuleList rules={selected.rules} />
+
+          <SliderSpaceMap policy={selected} current={currentSettings} />
+
+          <textarea
+            className="policy-json"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            readOnly={selected.builtIn}
+            spellCheck={false}
+            rows={16}
+          />
+          {selected.builtIn && (
+            <p className="policy-description">The built-in policy can't be edited. Duplicate it to make changes.</p>
+          )}
+
+          <div className="dashboard-actions">
+            <button onClick={checkDraft}>Validate</button>
+            {!selected.builtIn && <button onClick={saveDraft}>Save</button>}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="policy-errors">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          {notice && <p className="policy-notice">{notice}</p>}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default PolicyEditor
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { downloadFile } from '../analytics.js'
+import { parsePresetImport, presetsToJson } from '../presets.js'
+
+// How long the "Copied" confirmation stays on the share button
+const COPIED_MS = 1500
+
+/**
+ * Named presets: apply one, save the current setup as one, delete, import
+ * and export them, and copy a link that opens the current setup.
+ *
+ * `current` is the preset the settings match exactly (or null once they've
+ * been changed), and `shared` the setup a link was opened with, offered
+ * for saving when it isn't one of the user's presets yet.
+ */
+function PresetPanel({ presets, current, shared, shareUrl, onApply, onSave, onDelete, onImport, onDismissShared }) {
+  const [notice, setNotice] = useState('')
+  const [errors, setErrors] = useState([])
+  const [copied, setCopied] = useState(false)
+
+  const userPresets = presets.filter(p => !p.builtIn)
+
+  const handleSelect = (id) => {
+    const preset = presets.find(p => p.id === id)
+    if (preset) onApply(preset)
+  }
+
+  const handleSave = () => {
+    const name = window.prompt('Name for this preset:', current && !current.builtIn ? current.name : '')
+    if (!name?.trim()) return
+    const existing = userPresets.find(p => p.name === name.trim())
+    if (existing && !window.confirm(`Replace the preset "${existing.name}"?`)) return
+    onSave(name.trim(), existing?.id)
+    setNotice(`Saved "${name.trim()}".`)
+    setErrors([])
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the preset "${current.name}"?`)) onDelete(current.id)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = parsePresetImport(await file.text())
+      onImport(imported)
+      setNotice(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`)
+      setErrors([])
+    } catch (err) {
+      setErrors(err.message.split('\n'))
+      setNotice('')
+    }
+  }
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(shareUrl).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), COPIED_MS)
+    }).catch((err) => console.warn('Could not copy link:', err))
+  }
+
+  return (
+    <div className="cascade-settings preset-panel">
+      <label className="history-setting">
+        Preset:
+        <select value={current?.id ?? 'custom'} onChange={(e) => handleSelect(e.target.value)}>
+          <option value="custom" disabled>Custom settings</option>
+          <optgroup label="Built-in">
+            {presets.filter(p => p.builtIn).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="Saved">
+              {userPresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+      </label>
+
+      {shared && (
+        <p className="cascade-range">
+          Opened a shared setup{shared.presetName ? ` ("${shared.presetName}")` : ''}.{' '}
+          <button
+            className="link-btn"
+            onClick={() => {
+              onSave(shared.presetName || 'Shared setup')
+              onDismissShared()
+            }}
+          >
+            Save as preset
+          </button>{' '}
+          <button className="link-btn" onClick={onDismissShared}>Dismiss</button>
+        </p>
+      )}
+
+      <div className="preset-actions">
+        <button onClick={handleSave}>Save as…</button>
+        {current && !current.builtIn && <button onClick={handleDelete}>Delete</button>}
+        <button
+          onClick={() => downloadFile('presets.json', presetsToJson(userPresets), 'application/json')}
+          disabled={userPresets.length === 0}
+        >
+          Export
+        </button>
+        <label className="policy-import">
+          Import
+          <input type="file" accept="application/json,.json" onChange={handleImport} />
+        </label>
+        <button onClick={copyLink}>{copied ? 'Copied' : 'Copy link'}</button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="policy-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      {notice && <p className="cascade-range">{notice}</p>}
+    </div>
+  )
+}
+
+export default PresetPanel
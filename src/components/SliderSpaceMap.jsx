@@ -0,0 +1,90 @@
+import { MODELS, MODEL_TIERS } from '../models.js'
+import { mapSliderSpace } from '../routing.js'
+
+const SLIDER_VALUES = [1, 2, 3, 4, 5]
+
+/**
+ * Every slider combination a policy can see (5 × 5 × 5), one grid per
+ * complexity level with efficiency down and speed across, colored by the
+ * model it routes to. Highlights the current slider position and lists
+ * unused tiers and inconsistencies found by mapSliderSpace().
+ */
+function SliderSpaceMap({ policy, current }) {
+  const { tiers, unusedTiers, inconsistencies } = mapSliderSpace(policy)
+
+  return (
+    <div className="slider-map">
+      <h3>Slider-space map</h3>
+      <p className="policy-description">
+        Tier chosen for each combination, with no prompt features and no budget use.
+      </p>
+
+      <div className="slider-map-grids">
+        {tiers.map((byEfficiency, cIdx) => (
+          <table key={cIdx} className="slider-map-grid">
+            <caption>Complexity {cIdx + 1}</caption>
+            <thead>
+              <tr>
+                <th title="Efficiency ↓ / Speed →">E\S</th>
+                {SLIDER_VALUES.map(speed => <th key={speed}>{speed}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {byEfficiency.map((bySpeed, eIdx) => (
+                <tr key={eIdx}>
+                  <th>{eIdx + 1}</th>
+                  {bySpeed.map((tier, sIdx) => {
+                    const model = MODELS[MODEL_TIERS[tier - 1]]
+                    const isCurrent = current &&
+                      current.complexity === cIdx + 1 &&
+                      current.efficiency === eIdx + 1 &&
+                      current.speed === sIdx + 1
+                    return (
+                      <td
+                        key={sIdx}
+                        className={isCurrent ? 'current' : ''}
+                        style={{ backgroundColor: model.color }}
+                        title={`Efficiency ${eIdx + 1}, speed ${sIdx + 1}: ${model.name}`}
+                      >
+                        {tier}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+      </div>
+
+      <div className="tier-mix-legend">
+        {MODEL_TIERS.map((modelId, idx) => (
+          <span key={modelId}>
+            <i style={{ backgroundColor: MODELS[modelId].color }} />
+            {idx + 1}. {MODELS[modelId].name}
+          </span>
+        ))}
+      </div>
+
+      {unusedTiers.length > 0 && (
+        <p className="slider-map-warning">
+          Never chosen: {unusedTiers.map(tier => MODELS[MODEL_TIERS[tier - 1]].name).join(', ')}
+        </p>
+      )}
+      {inconsistencies.length > 0 ? (
+        <details className="slider-map-warning">
+          <summary>{inconsistencies.length} inconsistencies</summary>
+          <ul>
+            {inconsistencies.map(note => <li key={note}>{note}</li>)}
+          </ul>
+        </details>
+      ) : (
+        <p className="policy-notice">
+          No inconsistencies: raising complexity never lowers the tier, and raising efficiency or speed never raises it.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default SliderSpaceMap
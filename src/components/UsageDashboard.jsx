@@ -0,0 +1,149 @@
+import { MODELS, MODEL_TIERS } from '../models.js'
+import { formatEnergy } from '../energy.js'
+import {
+  buildUsageRecords,
+  summarizeBy,
+  tierMixByDay,
+  tierLabel,
+  recordsToCsv,
+  recordsToJson,
+  downloadFile
+} from '../analytics.js'
+
+/**
+ * Table of grouped totals (one row per tier, day or conversation)
+ */
+function SummaryTable({ title, rows, renderKey }) {
+  return (
+    <div className="dashboard-card">
+      <h3>{title}</h3>
+      <table className="dashboard-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Queries</th>
+            <th>Calls</th>
+            <th>Tokens</th>
+            <th>Cost</th>
+            <th>Energy</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td>{renderKey(row)}</td>
+              <td>{row.messages}</td>
+              <td>{row.calls}</td>
+              <td>{row.tokens.toLocaleString()}</td>
+              <td>${row.cost.toFixed(4)}</td>
+              <td>{formatEnergy(row.energyWh)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/**
+ * Stacked bars showing each day's share of answers per tier
+ */
+function TierMixChart({ days }) {
+  return (
+    <div className="dashboard-card">
+      <h3>Tier mix over time</h3>
+      <div className="tier-mix-chart">
+        {days.map(({ day, total, tiers }) => (
+          <div key={day} className="tier-mix-row">
+            <span className="tier-mix-day">{day}</span>
+            <div className="tier-mix-bar">
+              {Object.entries(tiers)
+                .sort(([a], [b]) => Number(a) - Number(b))
+                .map(([tier, count]) => {
+                  const model = MODELS[MODEL_TIERS[tier - 1]]
+                  return (
+                    <div
+                      key={tier}
+                      className="tier-mix-segment"
+                      style={{
+                        width: `${(count / total) * 100}%`,
+                        backgroundColor: model?.color || '#9ca3af'
+                      }}
+                      title={`${tierLabel(Number(tier), model?.id)}: ${count} of ${total}`}
+                    />
+                  )
+                })}
+            </div>
+            <span className="tier-mix-total">{total}</span>
+          </div>
+        ))}
+      </div>
+      <div className="tier-mix-legend">
+        {MODEL_TIERS.map((modelId, idx) => (
+          <span key={modelId}>
+            <i style={{ backgroundColor: MODELS[modelId].color }} />
+            {idx + 1}. {MODELS[modelId].name}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Usage analytics across all saved conversations, with CSV/JSON export
+ */
+function UsageDashboard({ conversations }) {
+  const records = buildUsageRecords(conversations)
+  const titles = Object.fromEntries(records.map(r => [r.conversationId, r.conversationTitle]))
+  const stamp = new Date().toISOString().slice(0, 10)
+
+  if (records.length === 0) {
+    return (
+      <section className="usage-dashboard">
+        <p className="dashboard-empty">No usage yet. Send a few messages and come back.</p>
+      </section>
+    )
+  }
+
+  return (
+    <section className="usage-dashboard">
+      <div className="dashboard-header">
+        <h2>Usage Dashboard</h2>
+        <div className="dashboard-actions">
+          <button onClick={() => downloadFile(`usage-${stamp}.csv`, recordsToCsv(records), 'text/csv')}>
+            Export CSV
+          </button>
+          <button onClick={() => downloadFile(`usage-${stamp}.json`, recordsToJson(records), 'application/json')}>
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      <TierMixChart days={tierMixByDay(records)} />
+
+      <div className="dashboard-grid">
+        <SummaryTable
+          title="By model tier"
+          rows={summarizeBy(records, r => `${String(r.tier).padStart(2, '0')}|${r.modelId}`)}
+          renderKey={(row) => {
+            const [tier, modelId] = row.key.split('|')
+            return tierLabel(Number(tier), modelId)
+          }}
+        />
+        <SummaryTable
+          title="By day"
+          rows={summarizeBy(records, r => r.day).reverse()}
+          renderKey={(row) => row.key}
+        />
+        <SummaryTable
+          title="By conversation"
+          rows={summarizeBy(records, r => r.conversationId).sort((a, b) => b.cost - a.cost)}
+          renderKey={(row) => titles[row.key]}
+        />
+      </div>
+    </section>
+  )
+}
+
+export default UsageDashboard
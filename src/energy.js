@@ -0,0 +1,74 @@
+/**
+ * Energy and carbon estimates from token usage.
+ *
+ * Per-model coefficients (Wh per 1K tokens) live in MODELS[id].energy.
+ * Providers don't publish per-request energy, so these are order-of-magnitude
+ * estimates scaled by model size; they are meant for comparing tiers with
+ * each other, not as measured figures.
+ */
+
+import { MODELS } from './models.js'
+import { COMPARISON_MODEL_ID, TYPICAL_USAGE, getComparisonUsage } from './pricing.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Grid carbon intensity in gCO2e per kWh (roughly the global average).
+// Override with VITE_GRID_CARBON_INTENSITY or from the savings panel.
+export const DEFAULT_CARBON_INTENSITY =
+  Number(import.meta.env?.VITE_GRID_CARBON_INTENSITY) || 400
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+/**
+ * Estimated energy in Wh for a completion with the given (parsed) usage.
+ * Cached prompt tokens still pass through the model, so all prompt tokens
+ * count at the input rate; reasoning tokens count as output.
+ */
+export function calculateUsageEnergy(model, usage) {
+  const { inputWhPer1K, outputWhPer1K } = model.energy
+  return (
+    usage.promptTokens * inputWhPer1K +
+    usage.completionTokens * outputWhPer1K
+  ) / 1000
+}
+
+/**
+ * Estimated energy of a typical query on a model, shown before anything is sent
+ */
+export function calculateQueryEnergy(model) {
+  return calculateUsageEnergy(model, TYPICAL_USAGE)
+}
+
+/**
+ * Counterfactual energy of the same query on the comparison model
+ */
+export function getComparisonEnergy(usage) {
+  return calculateUsageEnergy(MODELS[COMPARISON_MODEL_ID], getComparisonUsage(usage))
+}
+
+/**
+ * Grams of CO2e for an amount of energy at a grid carbon intensity
+ */
+export function calculateCarbon(energyWh, carbonIntensity) {
+  return energyWh / 1000 * carbonIntensity
+}
+
+/**
+ * Format Wh for display, switching to mWh for small values
+ */
+export function formatEnergy(energyWh) {
+  if (Math.abs(energyWh) < 1) return `${(energyWh * 1000).toFixed(2)} mWh`
+  return `${energyWh.toFixed(3)} Wh`
+}
+
+/**
+ * Format grams of CO2e for display, switching to mg for small values
+ */
+export function formatCarbon(grams) {
+  if (Math.abs(grams) < 1) return `${(grams * 1000).toFixed(2)} mg CO₂e`
+  return `${grams.toFixed(3)} g CO₂e`
+}
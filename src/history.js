@@ -0,0 +1,165 @@
+/**
+ * Chat history management: which earlier turns go into the next request.
+ *
+ * Strategies:
+ * - full:      send everything, dropping the oldest turns only when the
+ *              smallest context window in play would overflow
+ * - window:    send the most recent turns that fit in a token budget
+ * - summarize: like window, but the turns that fall out of it are condensed
+ *              by the tier-1 model into a summary sent ahead of them. The
+ *              summary is stored with the conversation and extended as more
+ *              turns fall out, so each turn is only summarized once.
+ */
+
+import { MAX_OUTPUT_TOKENS, getRequestLimits, toApiMessages, createChatCompletion } from './chat.js'
+import { estimateTokens, estimateMessageTokens } from './tokens.js'
+import { modelForTier } from './cascade.js'
+import { getAttachmentTokens, hasImages, describeAttachments } from './attachments.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const HISTORY_STRATEGIES = {
+  full: 'Full history',
+  window: 'Sliding window',
+  summarize: 'Summarize older turns'
+}
+
+// Default prompt budget for the window and summarize strategies
+export const DEFAULT_HISTORY_TOKENS = 4000
+
+// Output limit for a summary, and the room reserved for it in the prompt
+const SUMMARY_MAX_TOKENS = 300
+
+const SUMMARY_PROMPT = [
+  'Summarize the conversation below for an assistant who will continue it.',
+  'Keep facts, decisions, names, numbers and open questions; drop pleasantries.',
+  'Write at most 200 words.'
+].join(' ')
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Prompt tokens available when a request may go to any of `models`:
+ * the smallest context window, less room for the reply (and reasoning)
+ * under `generation`
+ */
+export function getContextLimit(models, generation) {
+  return Math.min(...models.map(m => m.contextWindow - getRequestLimits(m, generation).maxTokens))
+}
+
+/**
+ * Decide which messages of `history` to send.
+ *
+ * `summary` is the conversation's stored summary, { count, text }, covering
+ * its first `count` messages (or null). `generation` is the reasoning
+ * effort and answer length the request will use, and `systemPrompt` the
+ * conversation's own system prompt (null for the default).
+ *
+ * Returns:
+ * - start:         index of the first message sent verbatim
+ * - summaryText:   summary to send ahead of them (null for none)
+ * - summarizeFrom: when set, messages from here up to `start` still need
+ *                  folding into summaryText before sending
+ * - tokens:        estimated prompt tokens for the request
+ * - contextLimit:  prompt tokens the models allow
+ */
+export function planHistory(history, models, { strategy, historyTokens, generation, systemPrompt }, summary) {
+  const contextLimit = getContextLimit(models, generation)
+  const summarize = strategy === 'summarize'
+  const limit = strategy === 'full'
+    ? contextLimit
+    : Math.min(contextLimit, historyTokens) - (summarize ? SUMMARY_MAX_TOKENS : 0)
+
+  // Walk back from the newest message, always keeping the last one.
+  // Attachments carry their own estimate, so large files aren't re-counted.
+  const overhead = estimateMessageTokens([])
+  const sizes = history.map(m =>
+    estimateMessageTokens([{ content: m.text }]) - overhead + getAttachmentTokens(m.attachments)
+  )
+  let tokens = estimateMessageTokens(toApiMessages([], null, systemPrompt)) + sizes[sizes.length - 1]
+  let start = history.length - 1
+  while (start > 0 && tokens + sizes[start - 1] <= limit) {
+    start--
+    tokens += sizes[start]
+  }
+
+  let summaryText = null
+  let summarizeFrom = null
+
+  if (summarize && start > 0) {
+    // A summary is only usable if it ends before the message being answered
+    const usable = summary && summary.count < history.length ? summary : null
+
+    if (usable && usable.count >= start) {
+      // Already covers everything that fell out (and perhaps a little more)
+      for (let i = start; i < usable.count; i++) tokens -= sizes[i]
+      start = usable.count
+    } else {
+      summarizeFrom = usable ? usable.count : 0
+    }
+    summaryText = usable?.text || null
+    tokens += summarizeFrom === null
+      ? estimateMessageTokens([{ content: summaryText }]) - overhead
+      : SUMMARY_MAX_TOKENS
+  }
+
+  return { start, summaryText, summarizeFrom, tokens, contextLimit }
+}
+
+/**
+ * What a request for `history` needs from its model, as getUnmetNeeds()
+ * takes it: vision if any message has images, and a context window that
+ * holds the newest message (which is always sent) and the answer. Older
+ * turns don't count, since the history strategy can leave them out.
+ */
+export function getRequestNeeds(history, { systemPrompt = null, maxOutputTokens = MAX_OUTPUT_TOKENS } = {}) {
+  const newest = history[history.length - 1]
+  const newestTokens = newest
+    ? estimateMessageTokens([{ content: newest.text }]) + getAttachmentTokens(newest.attachments)
+    : 0
+  return {
+    vision: hasImages(history),
+    contextTokens: estimateMessageTokens(toApiMessages([], null, systemPrompt)) + newestTokens + maxOutputTokens
+  }
+}
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Fold `messages` into `previousSummary` with the tier-1 model.
+ * Resolves with { text, usage, model } so the call can be billed.
+ */
+export async function summarizeHistory(previousSummary, messages, signal) {
+  const model = modelForTier(1)
+
+  // Keep the transcript within the summarizer's own context, newest first
+  const room = getContextLimit([model]) - SUMMARY_MAX_TOKENS
+  const lines = []
+  let used = estimateTokens(SUMMARY_PROMPT) + estimateTokens(previousSummary || '')
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const { isUser, text, attachments } = messages[i]
+    const line = `${isUser ? 'User' : 'Assistant'}: ${[text, describeAttachments(attachments)].filter(Boolean).join(' ')}`
+    used += estimateTokens(line)
+    if (used > room) break
+    lines.unshift(line)
+  }
+  const transcript = lines.join('\n\n')
+
+  const result = await createChatCompletion(model, [
+    { role: 'system', content: SUMMARY_PROMPT },
+    {
+      role: 'user',
+      content: previousSummary
+        ? `Summary so far:\n${previousSummary}\n\nConversation since then:\n${transcript}`
+        : transcript
+    }
+  ], { signal, maxTokens: SUMMARY_MAX_TOKENS })
+
+  return { text: result.text, usage: result.usage, model }
+}
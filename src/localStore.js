@@ -0,0 +1,30 @@
+/**
+ * Small JSON values in localStorage (budgets, ledgers, preference signals).
+ *
+ * Reads fall back to a default when storage is unavailable or the stored
+ * value is missing or corrupt; failed writes are logged, not thrown, so
+ * the app keeps working without persistence.
+ */
+
+/**
+ * Read a JSON value, falling back on missing or bad data
+ */
+export function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON value
+ */
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err)
+  }
+}
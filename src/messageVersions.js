@@ -0,0 +1,62 @@
+/**
+ * Alternative versions of an assistant turn.
+ *
+ * Regenerating a turn (at any tier) keeps the earlier answers. The
+ * message's own fields always hold the version being shown, so the rest
+ * of the app reads a message the same way whether or not it has
+ * versions; `versions` holds every version, including that one, and
+ * `activeVersion` is the index of the one shown.
+ */
+
+// Fields that belong to one version of an answer
+const VERSION_FIELDS = ['text', 'modelId', 'stopped', 'attempts', 'summaries', 'cached', 'feedback', 'createdAt']
+
+/**
+ * The version fields of a message
+ */
+function pickVersion(message) {
+  const version = {}
+  for (const field of VERSION_FIELDS) version[field] = message[field]
+  return version
+}
+
+/**
+ * Every version of an assistant message, oldest first. Messages that
+ * were never regenerated have a single version.
+ */
+export function getMessageVersions(message) {
+  return message.versions || [pickVersion(message)]
+}
+
+/**
+ * The message with `version` added and shown
+ */
+export function addMessageVersion(message, version) {
+  // Every field is set, so nothing of the version being replaced (such as its rating) carries over
+  const added = pickVersion(version)
+  const versions = [...getMessageVersions(message), added]
+  return { ...message, ...added, versions, activeVersion: versions.length - 1 }
+}
+
+/**
+ * The message showing its version at `index`
+ */
+export function selectMessageVersion(message, index) {
+  const versions = getMessageVersions(message)
+  if (!versions[index]) return message
+  return { ...message, ...versions[index], activeVersion: index }
+}
+
+/**
+ * The message with `changes` applied to the version being shown
+ */
+export function updateActiveVersion(message, changes) {
+  const updated = { ...message, ...changes }
+  if (!message.versions) return updated
+  return {
+    ...updated,
+    versions: message.versions.map((version, idx) =>
+      idx === message.activeVersion ? pickVersion(updated) : version
+    )
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Model catalog shared by the browser app and the API proxy.
+ *
+ * Kept free of React and browser APIs so the Node proxy can import it to
+ * build its model allowlist.
+ *
+ * Each model names the provider adapter that serves it (see ./providers).
+ * The tier ladder is a list of model IDs, so one ladder can mix providers;
+ * a model's `tier` is its position in the active ladder.
+ *
+ * Build-time settings (Vite env, ignored by the Node proxy):
+ * - VITE_MODEL_LADDER  which entry of MODEL_LADDERS to use (default "openai")
+ * - VITE_PROVIDER      send every model to one provider, e.g. "mock" for offline work
+ */
+
+// Vite replaces import.meta.env at build time; under plain Node it is undefined
+const ENV = import.meta.env || {}
+
+// Model configurations with prices in USD per 1M tokens (December 2025 pricing)
+// pricing.input       - uncached prompt tokens
+// pricing.cachedInput - prompt tokens served from the provider's prompt cache
+// pricing.output      - completion tokens (reasoning tokens are billed as output)
+// energy              - estimated Wh per 1K input/output tokens (see ./energy.js)
+// contextWindow       - max tokens per request, prompt and output together
+// reasoningEfforts    - reasoning_effort values the model accepts (reasoning models only)
+// sampling            - accepts temperature, top_p and stop (reasoning models reject them)
+// capabilities        - keys of CAPABILITIES the model has
+// Using official OpenAI API model IDs from platform.openai.com/docs/models
+// Organized from most efficient (lowest energy) to most powerful (highest energy)
+const MODEL_CATALOG = {
+  // Tier 1: Ultra Efficient - Bulk tasks, classification, lowest cost
+  'gpt-4.1-nano': {
+    id: 'gpt-4.1-nano',           // Official API ID
+    name: 'GPT-4.1 Nano',
+    description: 'Ultra-cheap, bulk labeling & classification',
+    pricing: { input: 0.10, cachedInput: 0.025, output: 0.40 },
+    energy: { inputWhPer1K: 0.002, outputWhPer1K: 0.02 },
+    contextWindow: 1047576,
+    sampling: true,
+    capabilities: ['vision', 'long-context'],
+    color: '#10b981',
+    energyRating: '🌱 Minimal',
+    provider: 'openai'
+  },
+  // Tier 2: Very Efficient - Fast, everyday tasks
+  'gpt-4.1-mini': {
+    id: 'gpt-4.1-mini',           // Official API ID
+    name: 'GPT-4.1 Mini',
+    description: 'Fast, 1M context, great instruction following',
+    pricing: { input: 0.40, cachedInput: 0.10, output: 1.60 },
+    energy: { inputWhPer1K: 0.005, outputWhPer1K: 0.05 },
+    contextWindow: 1047576,
+    sampling: true,
+    capabilities: ['vision', 'long-context'],
+    color: '#22c55e',
+    energyRating: '🌿 Low',
+    provider: 'openai'
+  },
+  // Tier 3: Efficient Reasoning - Fast reasoning for coding/math
+  'o4-mini': {
+    id: 'o4-mini',                // Official API ID
+    name: 'o4-mini',
+    description: 'Fast reasoning, excellent math & coding',
+    pricing: { input: 1.10, cachedInput: 0.275, output: 4.40 },
+    energy: { inputWhPer1K: 0.02, outputWhPer1K: 0.2 },
+    contextWindow: 200000,
+    reasoningEfforts: ['low', 'medium', 'high'],
+    capabilities: ['vision', 'reasoning'],
+    color: '#84cc16',
+    energyRating: '⚡ Medium',
+    provider: 'openai'
+  },
+  // Tier 4: Capable - Smart general model
+  'gpt-4.1': {
+    id: 'gpt-4.1',                // Official API ID
+    name: 'GPT-4.1',
+    description: 'Smart non-reasoning, 1M context, excellent coding',
+    pricing: { input: 2.00, cachedInput: 0.50, output: 8.00 },
+    energy: { inputWhPer1K: 0.03, outputWhPer1K: 0.3 },
+    contextWindow: 1047576,
+    sampling: true,
+    capabilities: ['vision', 'long-context'],
+    color: '#eab308',
+    energyRating: '🔥 High',
+    provider: 'openai'
+  },
+  // Tier 5: Advanced - GPT-5 mini (successor to o4-mini)
+  'gpt-5-mini': {
+    id: 'gpt-5-mini',             // Official API ID
+    name: 'GPT-5 Mini',
+    description: 'Fast GPT-5, great for most tasks',
+    pricing: { input: 0.25, cachedInput: 0.025, output: 2.00 },
+    energy: { inputWhPer1K: 0.02, outputWhPer1K: 0.2 },
+    contextWindow: 400000,
+    reasoningEfforts: ['minimal', 'low', 'medium', 'high'],
+    capabilities: ['vision', 'reasoning'],
+    color: '#f97316',
+    energyRating: '🔥🔥 Very High',
+    provider: 'openai'
+  },
+  // Tier 6: Maximum Power - Latest flagship
+  'gpt-5.2': {
+    id: 'gpt-5.2',                // Official API ID
+    name: 'GPT-5.2',
+    description: 'Flagship: 400K context, thinking, coding, agentic',
+    pricing: { input: 1.75, cachedInput: 0.175, output: 14.00 },
+    energy: { inputWhPer1K: 0.1, outputWhPer1K: 1.0 },
+    contextWindow: 400000,
+    reasoningEfforts: ['low', 'medium', 'high'],
+    capabilities: ['vision', 'reasoning'],
+    color: '#ef4444',
+    energyRating: '🔥🔥🔥 Maximum',
+    provider: 'openai'
+  },
+  // Local: OpenAI-compatible server (Ollama, llama.cpp) - no per-token charge
+  'llama3.2': {
+    id: 'llama3.2',               // Ollama model tag
+    name: 'Llama 3.2 (local)',
+    description: 'Runs on your own machine, no API cost',
+    pricing: { input: 0, cachedInput: 0, output: 0 },
+    energy: { inputWhPer1K: 0.003, outputWhPer1K: 0.03 },
+    contextWindow: 8192,  // The server's num_ctx setting, not the model's full 128K
+    sampling: true,
+    capabilities: [],  // Text only
+    color: '#0ea5e9',
+    energyRating: '🏠 Local',
+    provider: 'local'
+  }
+}
+
+// What a model can handle:
+// - vision:       reads images in the prompt
+// - reasoning:    thinks before answering (and takes reasoning_effort)
+// - long-context: a 1M-token context window, for very large attachments
+export const CAPABILITIES = {
+  vision: 'Vision',
+  reasoning: 'Reasoning',
+  'long-context': 'Long context'
+}
+
+// Every reasoning_effort value, least thinking first
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high']
+
+// Tier ladders: model IDs ordered from most efficient to most powerful
+export const MODEL_LADDERS = {
+  openai: [
+    'gpt-4.1-nano',  // Tier 1: Ultra efficient
+    'gpt-4.1-mini',  // Tier 2: Very efficient
+    'o4-mini',       // Tier 3: Efficient reasoning
+    'gpt-4.1',       // Tier 4: Capable
+    'gpt-5-mini',    // Tier 5: Advanced (GPT-5 mini)
+    'gpt-5.2'        // Tier 6: Maximum power (latest flagship)
+  ],
+  // Same ladder, but tier 1 runs on a local model server
+  'local-first': [
+    'llama3.2',      // Tier 1: Local, no API cost
+    'gpt-4.1-mini',
+    'o4-mini',
+    'gpt-4.1',
+    'gpt-5-mini',
+    'gpt-5.2'
+  ]
+}
+
+// Model tiers ordered from most efficient to most powerful
+export const MODEL_TIERS = MODEL_LADDERS[ENV.VITE_MODEL_LADDER] || MODEL_LADDERS.openai
+
+// All models, with their provider (after any override) and tier in the
+// active ladder (null for models outside it)
+export const MODELS = Object.fromEntries(
+  Object.entries(MODEL_CATALOG).map(([id, model]) => [id, {
+    ...model,
+    provider: ENV.VITE_PROVIDER || model.provider,
+    tier: MODEL_TIERS.includes(id) ? MODEL_TIERS.indexOf(id) + 1 : null
+  }])
+)
+
+/**
+ * What a request needs that `model` can't do. `needs` is { vision,
+ * contextTokens }: whether the prompt has images, and the tokens the
+ * request takes (prompt plus answer). Returns a list of CAPABILITIES keys,
+ * empty when the model can handle it; a request too big for the model's
+ * window needs 'long-context'.
+ */
+export function getUnmetNeeds(model, { vision = false, contextTokens = 0 } = {}) {
+  const unmet = []
+  if (vision && !model.capabilities.includes('vision')) unmet.push('vision')
+  if (contextTokens > model.contextWindow) unmet.push('long-context')
+  return unmet
+}
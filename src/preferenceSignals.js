@@ -0,0 +1,222 @@
+/**
+ * Preference signals: what the user told us about which tier was right
+ * for a kind of prompt.
+ *
+ * Two sources feed them: the winner of a side-by-side comparison, and
+ * ratings on chat answers (thumbs up/down, and "too weak" or "overkill").
+ * Comparisons pool prompts by their inferred complexity (see
+ * complexity.js); ratings pool them by kind, which is the complexity plus
+ * what the prompt is mostly about (code, math, a simple task...).
+ *
+ * In adaptive mode, the ratings for the draft's kind shift the policy's
+ * tier: down when cheaper tiers keep being rated good enough, up when the
+ * policy's tier keeps being rated too weak (see adjustTierFromFeedback).
+ * Signals are saved in localStorage.
+ */
+
+import { inferComplexity, extractPromptFeatures } from './complexity.js'
+import { readJson, writeJson } from './localStore.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SIGNALS_KEY = 'low-energy-ai:preference-signals'
+const ADAPTIVE_KEY = 'low-energy-ai:adaptive-routing'
+
+// Ratings on an answer: a thumbs up or down, and whether the model was
+// too weak or more than the prompt needed
+export const THUMBS = { up: '👍', down: '👎' }
+export const FIT_RATINGS = { 'too-weak': 'Too weak', overkill: 'Overkill' }
+
+// What prompts are mostly about, checked in this order
+const PROMPT_CATEGORIES = [
+  ['code', 'Code', f => f.hasCode],
+  ['math', 'Math', f => f.hasMath],
+  ['simple', 'Simple task', f => f.simpleTask],
+  ['analysis', 'Analysis', f => f.analysis],
+  ['general', 'General', () => true]
+]
+
+// Only the most recent ratings of a kind count, so routing follows
+// changing needs; net votes per tier of adjustment, and the most it moves
+const FEEDBACK_WINDOW = 20
+const VOTES_PER_TIER = 3
+const MAX_FEEDBACK_SHIFT = 2
+
+// ============================================================================
+// SIGNALS
+// ============================================================================
+
+export function loadPreferenceSignals() {
+  return readJson(SIGNALS_KEY, [])
+}
+
+/**
+ * The kind of a prompt that ratings are pooled by:
+ * { key, label, complexity }, e.g. { key: 'code-3', label: 'Code, complexity 3' }
+ */
+export function getPromptKind(prompt, history = []) {
+  const features = extractPromptFeatures(prompt, history)
+  const { complexity } = inferComplexity(prompt, history)
+  const [category, name] = PROMPT_CATEGORIES.find(([, , matches]) => matches(features))
+  return { key: `${category}-${complexity}`, label: `${name}, complexity ${complexity}`, complexity }
+}
+
+/**
+ * Record the winner of a side-by-side comparison and return the updated
+ * signals. `candidates` are the attempts that were compared.
+ */
+export function recordComparisonWinner(signals, { prompt, settings, candidates, winner }) {
+  const { complexity, reasons } = inferComplexity(prompt, [])
+  const updated = [...signals, {
+    timestamp: Date.now(),
+    source: 'comparison',
+    complexity,
+    reasons,
+    settings,
+    candidateTiers: candidates.map(c => c.tier),
+    winnerTier: winner.tier,
+    winnerModelId: winner.modelId
+  }]
+  writeJson(SIGNALS_KEY, updated)
+  return updated
+}
+
+/**
+ * Comparison wins per tier for prompts of the given complexity.
+ * Returns { [tier]: count }.
+ */
+export function comparisonWinsFor(signals, complexity) {
+  const wins = {}
+  for (const signal of signals) {
+    if (signal.source !== 'comparison' || signal.complexity !== complexity) continue
+    wins[signal.winnerTier] = (wins[signal.winnerTier] || 0) + 1
+  }
+  return wins
+}
+
+/**
+ * Record (or change) the rating of a chat answer and return the updated
+ * signals. `id` identifies the answer, so rating it again replaces its
+ * signal; a rating with neither thumbs nor fit removes it.
+ *
+ * `prompt` and `history` are the question and the conversation before
+ * it, `settings` the sliders it was sent with, and `modelId` and `tier`
+ * the model that answered.
+ */
+export function recordFeedback(signals, { id, prompt, history, settings, modelId, tier, thumbs = null, fit = null }) {
+  const others = signals.filter(signal => signal.id !== id)
+  const kind = getPromptKind(prompt, history)
+  const updated = thumbs || fit
+    ? [...others, {
+      id,
+      timestamp: Date.now(),
+      source: 'feedback',
+      kind: kind.key,
+      kindLabel: kind.label,
+      complexity: kind.complexity,
+      features: extractPromptFeatures(prompt, history),
+      settings,
+      modelId,
+      tier,
+      thumbs,
+      fit
+    }]
+    : others
+  writeJson(SIGNALS_KEY, updated)
+  return updated
+}
+
+/**
+ * The most recent ratings of one kind of prompt, newest last
+ */
+export function feedbackFor(signals, kindKey) {
+  return signals
+    .filter(signal => signal.source === 'feedback' && signal.kind === kindKey)
+    .slice(-FEEDBACK_WINDOW)
+}
+
+/**
+ * Move the policy's `tier` by what `feedback` (ratings of this kind of
+ * prompt, from feedbackFor) says about it.
+ *
+ * Votes to go up: "too weak" (1) or a thumbs down (½) at this tier or
+ * above. Votes to go down: a thumbs up at a cheaper tier, or "overkill"
+ * one tier above a cheaper one (1 each). Every VOTES_PER_TIER net votes
+ * move one tier, up to MAX_FEEDBACK_SHIFT, and never past the tiers the
+ * ratings were about: down only as far as the cheapest tier rated good
+ * enough, up only one past the strongest rated too weak.
+ *
+ * Returns { tier, up, down } with the votes each way.
+ */
+export function adjustTierFromFeedback(tier, feedback) {
+  let up = 0
+  let down = 0
+  let strongestNeeded = tier
+  let cheapestEnough = tier
+
+  for (const { tier: rated, thumbs, fit } of feedback) {
+    if (fit === 'too-weak' || (thumbs === 'down' && fit !== 'overkill')) {
+      if (rated < tier) continue
+      up += fit === 'too-weak' ? 1 : 0.5
+      strongestNeeded = Math.max(strongestNeeded, rated + 1)
+    } else {
+      const enough = fit === 'overkill' ? rated - 1 : rated
+      if (enough >= tier || enough < 1) continue
+      down += 1
+      cheapestEnough = Math.min(cheapestEnough, enough)
+    }
+  }
+
+  const net = up - down
+  const shift = Math.sign(net) * Math.min(MAX_FEEDBACK_SHIFT, Math.floor(Math.abs(net) / VOTES_PER_TIER))
+  const adjusted = shift > 0
+    ? Math.min(tier + shift, strongestNeeded)
+    : Math.max(tier + shift, cheapestEnough)
+  return { tier: adjusted, up, down }
+}
+
+/**
+ * Every kind of prompt with ratings: [{ key, label, ratings, thumbsUp,
+ * thumbsDown, tooWeak, overkill }], most rated first
+ */
+export function summarizeFeedback(signals) {
+  const kinds = {}
+  for (const signal of signals) {
+    if (signal.source !== 'feedback') continue
+    if (!kinds[signal.kind]) {
+      kinds[signal.kind] = {
+        key: signal.kind, label: signal.kindLabel, ratings: 0, thumbsUp: 0, thumbsDown: 0, tooWeak: 0, overkill: 0
+      }
+    }
+    const kind = kinds[signal.kind]
+    kind.ratings++
+    if (signal.thumbs === 'up') kind.thumbsUp++
+    if (signal.thumbs === 'down') kind.thumbsDown++
+    if (signal.fit === 'too-weak') kind.tooWeak++
+    if (signal.fit === 'overkill') kind.overkill++
+  }
+  return Object.values(kinds).sort((a, b) => b.ratings - a.ratings)
+}
+
+/**
+ * Drop every rating, keeping comparison winners, and return what's left
+ */
+export function clearFeedback(signals) {
+  const remaining = signals.filter(signal => signal.source !== 'feedback')
+  writeJson(SIGNALS_KEY, remaining)
+  return remaining
+}
+
+// ============================================================================
+// ADAPTIVE MODE
+// ============================================================================
+
+export function loadAdaptiveRouting() {
+  return readJson(ADAPTIVE_KEY, false)
+}
+
+export function saveAdaptiveRouting(enabled) {
+  writeJson(ADAPTIVE_KEY, enabled)
+}
@@ -0,0 +1,214 @@
+/**
+ * Named presets: a saved routing setup (sliders, cascade, reasoning effort,
+ * answer length and system prompt) that can be applied in one click,
+ * exported and imported as JSON, and shared as a link.
+ *
+ * The built-in presets are the slider positions that reach each tier of
+ * the ladder under the Default policy; picking a model from the dropdown
+ * applies the first preset that routes to it.
+ *
+ * A link carries the current setup in its query string, e.g.
+ *   ?preset=Code+review&efficiency=2&speed=3&complexity=4&effort=high
+ * so a teammate who opens it gets the same routing, whether or not they
+ * have the preset saved.
+ */
+
+import { REASONING_EFFORTS } from './models.js'
+import { readJson, writeJson } from './localStore.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PRESETS_KEY = 'low-energy-ai:presets'
+
+// Settings a preset holds; null reasoningEffort, maxOutputTokens or
+// systemPrompt means the default (derived from the sliders, or the app's
+// own system prompt)
+export const PRESET_FIELDS = [
+  'efficiency',
+  'speed',
+  'complexity',
+  'autoComplexity',
+  'cascade',
+  'reasoningEffort',
+  'maxOutputTokens',
+  'systemPrompt'
+]
+
+const PRESET_DEFAULTS = {
+  autoComplexity: false,
+  cascade: false,
+  reasoningEffort: null,
+  maxOutputTokens: null,
+  systemPrompt: null
+}
+
+const sliders = (efficiency, speed, complexity) => ({ ...PRESET_DEFAULTS, efficiency, speed, complexity })
+
+// One per tier of the default ladder, checked against the Default policy's
+// slider-space map
+export const BUILT_IN_PRESETS = [
+  { id: 'bulk', name: 'Bulk triage', settings: sliders(5, 5, 1) },                  // gpt-4.1-nano
+  { id: 'everyday', name: 'Everyday questions', settings: sliders(3, 3, 1) },       // gpt-4.1-mini
+  { id: 'fast-reasoning', name: 'Quick reasoning', settings: sliders(4, 4, 3) },    // o4-mini
+  { id: 'balanced', name: 'Balanced', settings: sliders(2, 3, 3) },                 // gpt-4.1
+  { id: 'code-review', name: 'Code review', settings: sliders(3, 3, 4) },           // gpt-5-mini
+  { id: 'deep-analysis', name: 'Deep analysis', settings: sliders(1, 2, 5) }        // gpt-5.2
+].map(preset => ({ ...preset, builtIn: true }))
+
+// Short query-string names for the shared settings
+const URL_PARAMS = {
+  efficiency: 'efficiency',
+  speed: 'speed',
+  complexity: 'complexity',
+  autoComplexity: 'auto',
+  cascade: 'cascade',
+  reasoningEffort: 'effort',
+  maxOutputTokens: 'maxOutput',
+  systemPrompt: 'system'
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Problems with a preset's name and settings, as readable strings
+ * (empty when valid)
+ */
+export function validatePreset(preset) {
+  const errors = []
+  if (!preset || typeof preset !== 'object') return ['Preset must be an object']
+  if (typeof preset.name !== 'string' || !preset.name.trim()) errors.push('name: must be a non-empty string')
+
+  const settings = preset.settings
+  if (!settings || typeof settings !== 'object') return [...errors, 'settings: must be an object']
+
+  for (const field of ['efficiency', 'speed', 'complexity']) {
+    if (!Number.isInteger(settings[field]) || settings[field] < 1 || settings[field] > 5) {
+      errors.push(`settings.${field}: must be a whole number from 1 to 5`)
+    }
+  }
+  for (const field of ['autoComplexity', 'cascade']) {
+    if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+      errors.push(`settings.${field}: must be true or false`)
+    }
+  }
+  if (settings.reasoningEffort != null && !REASONING_EFFORTS.includes(settings.reasoningEffort)) {
+    errors.push(`settings.reasoningEffort: must be one of ${REASONING_EFFORTS.join(', ')} or null`)
+  }
+  if (settings.maxOutputTokens != null && !(Number.isInteger(settings.maxOutputTokens) && settings.maxOutputTokens > 0)) {
+    errors.push('settings.maxOutputTokens: must be a positive whole number or null')
+  }
+  if (settings.systemPrompt != null && typeof settings.systemPrompt !== 'string') {
+    errors.push('settings.systemPrompt: must be a string or null')
+  }
+  return errors
+}
+
+/**
+ * Just the preset fields of `settings`, with defaults for missing ones
+ */
+export function pickPresetSettings(settings) {
+  return Object.fromEntries(PRESET_FIELDS.map(field => [field, settings[field] ?? PRESET_DEFAULTS[field] ?? null]))
+}
+
+/**
+ * Whether `settings` match a preset exactly
+ */
+export function matchesPreset(preset, settings) {
+  const current = pickPresetSettings(settings)
+  return PRESET_FIELDS.every(field => current[field] === (preset.settings[field] ?? PRESET_DEFAULTS[field]))
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * All presets: the built-in ones followed by the user's own
+ */
+export function loadPresets() {
+  return [...BUILT_IN_PRESETS, ...readJson(PRESETS_KEY, [])]
+}
+
+/**
+ * Save the user's presets (built-in ones are never stored)
+ */
+export function savePresets(presets) {
+  writeJson(PRESETS_KEY, presets.filter(p => !p.builtIn))
+}
+
+/**
+ * Parse presets from imported JSON (one preset or a list), each with a
+ * fresh ID. Throws an Error listing the problems if any is invalid.
+ */
+export function parsePresetImport(json) {
+  const data = JSON.parse(json)
+  const presets = Array.isArray(data) ? data : [data]
+  const problems = presets.flatMap((preset, idx) =>
+    validatePreset(preset).map(error => presets.length > 1 ? `Preset ${idx + 1}: ${error}` : error)
+  )
+  if (problems.length > 0) throw new Error(problems.join('\n'))
+
+  return presets.map(preset => ({
+    id: crypto.randomUUID(),
+    name: preset.name.trim(),
+    settings: pickPresetSettings(preset.settings)
+  }))
+}
+
+/**
+ * Presets as pretty-printed JSON for export
+ */
+export function presetsToJson(presets) {
+  return JSON.stringify(presets.map(({ name, settings }) => ({ name, settings })), null, 2)
+}
+
+// ============================================================================
+// SHARE LINKS
+// ============================================================================
+
+/**
+ * Query string for the current setup. Settings left at their defaults
+ * are omitted to keep links short.
+ */
+export function setupToQuery({ presetName, policyId, settings }) {
+  const params = new URLSearchParams()
+  if (presetName) params.set('preset', presetName)
+  if (policyId) params.set('policy', policyId)
+
+  const current = pickPresetSettings(settings)
+  for (const field of PRESET_FIELDS) {
+    const value = current[field]
+    if (value === null || value === false) continue
+    params.set(URL_PARAMS[field], value === true ? '1' : String(value))
+  }
+  return params.toString()
+}
+
+/**
+ * Read a setup from a query string. Returns { presetName, policyId,
+ * settings } or null when the link carries no valid slider settings.
+ */
+export function setupFromQuery(search) {
+  const params = new URLSearchParams(search)
+  if (!params.has(URL_PARAMS.efficiency)) return null
+
+  const number = (name) => (params.has(name) ? Number(params.get(name)) : null)
+  const settings = {
+    efficiency: number(URL_PARAMS.efficiency),
+    speed: number(URL_PARAMS.speed),
+    complexity: number(URL_PARAMS.complexity),
+    autoComplexity: params.get(URL_PARAMS.autoComplexity) === '1',
+    cascade: params.get(URL_PARAMS.cascade) === '1',
+    reasoningEffort: params.get(URL_PARAMS.reasoningEffort),
+    maxOutputTokens: number(URL_PARAMS.maxOutputTokens),
+    systemPrompt: params.get(URL_PARAMS.systemPrompt)
+  }
+
+  const presetName = params.get('preset')
+  if (validatePreset({ name: presetName || 'Shared', settings }).length > 0) return null
+  return { presetName, policyId: params.get('policy'), settings }
+}
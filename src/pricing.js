@@ -0,0 +1,80 @@
+/**
+ * Cost accounting from the token usage reported by the API.
+ */
+
+import { MODELS } from './models.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Typical query shape, used only for the pre-send "estimated cost" preview.
+// Actual billing uses the usage block returned with each completion.
+export const TYPICAL_USAGE = {
+  promptTokens: 300,
+  cachedTokens: 0,
+  completionTokens: 200,
+  reasoningTokens: 0
+}
+
+// Model that every query is compared against for the savings figures
+export const COMPARISON_MODEL_ID = 'gpt-4.1'
+
+// ============================================================================
+// COST CALCULATION
+// ============================================================================
+
+/**
+ * Normalize the `usage` block of a chat/completions response.
+ * Cached prompt tokens are reported inside prompt_tokens, and reasoning
+ * tokens inside completion_tokens, so both are broken out here.
+ */
+export function parseUsage(usage = {}) {
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0
+  }
+}
+
+/**
+ * Cost in USD of a completion with the given (parsed) usage on a model.
+ * Prices are per 1M tokens, so divide by 1,000,000
+ */
+export function calculateUsageCost(model, usage) {
+  const { input, cachedInput, output } = model.pricing
+  const uncachedTokens = usage.promptTokens - usage.cachedTokens
+  return (
+    uncachedTokens * input +
+    usage.cachedTokens * cachedInput +
+    usage.completionTokens * output
+  ) / 1000000
+}
+
+/**
+ * Estimated cost of a typical query on a model, shown before anything is sent
+ */
+export function calculateQueryCost(model) {
+  return calculateUsageCost(model, TYPICAL_USAGE)
+}
+
+/**
+ * The usage the comparison model would have had for the same query: the
+ * same prompt and answer, but no reasoning tokens, since gpt-4.1 doesn't
+ * reason
+ */
+export function getComparisonUsage(usage) {
+  return {
+    ...usage,
+    completionTokens: Math.max(0, usage.completionTokens - usage.reasoningTokens),
+    reasoningTokens: 0
+  }
+}
+
+/**
+ * Counterfactual cost of the same query on the comparison model (gpt-4.1)
+ */
+export function getComparisonCost(usage) {
+  return calculateUsageCost(MODELS[COMPARISON_MODEL_ID], getComparisonUsage(usage))
+}
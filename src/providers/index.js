@@ -0,0 +1,29 @@
+/**
+ * Provider adapter registry.
+ *
+ * Every adapter exposes complete(model, messages, options), resolving with
+ * { text, usage, finishReason, refusal }, where usage is in the OpenAI
+ * chat/completions shape (or null if the provider didn't report it).
+ * Models name their adapter through the `provider` field in MODELS.
+ */
+
+import { openaiProvider } from './openai.js'
+import { localProvider } from './local.js'
+import { mockProvider } from './mock.js'
+
+export const PROVIDERS = {
+  openai: openaiProvider,
+  local: localProvider,
+  mock: mockProvider
+}
+
+/**
+ * Adapter for a model, by its `provider` field
+ */
+export function getProvider(model) {
+  const provider = PROVIDERS[model.provider]
+  if (!provider) {
+    throw new Error(`Unknown provider "${model.provider}" for model ${model.id}`)
+  }
+  return provider
+}
@@ -0,0 +1,12 @@
+/**
+ * Local OpenAI-compatible server such as Ollama or llama.cpp (via the proxy,
+ * which forwards to LOCAL_CHAT_URL).
+ */
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js'
+
+export const localProvider = createOpenAICompatibleProvider({
+  id: 'local',
+  name: 'Local',
+  tokenLimitParam: 'max_tokens'
+})
@@ -0,0 +1,194 @@
+/**
+ * Deterministic mock provider for offline development and testing.
+ *
+ * Runs entirely in the browser (or Node) and never touches the network.
+ * The same model and messages always produce the same answer and usage.
+ * Higher tiers give longer answers and stream more slowly.
+ *
+ * Markers in the last user message exercise the cascade triggers:
+ * - "#long"   answers overflow the output limit on tiers 1-2 (finish_reason: length)
+ * - "#refuse" tiers 1-2 refuse to answer
+ * - "#hard"   tiers 1-2 give an answer the self-check grader fails
+ *
+ * and "#unavailable" makes tiers 1-2 fail as unavailable models, to
+ * exercise the fallback to a neighbouring tier.
+ */
+
+import { estimateTokens, estimateMessageTokens } from '../tokens.js'
+import { createRequestError } from '../requestErrors.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FILLER_SENTENCES = [
+  'Smaller models handle most everyday questions well.',
+  'Routing by task keeps both cost and energy use down.',
+  'This answer was generated locally by the mock provider.',
+  'Escalating only when needed avoids paying for unused capability.',
+  'Token counts here are estimates, roughly four characters per token.',
+  'Short prompts rarely need the largest model.',
+  'Reasoning models spend extra tokens thinking before they answer.',
+  'Cached prompts are billed at a lower rate by most providers.'
+]
+
+// Milliseconds per streamed word, multiplied by the model's tier
+const STREAM_DELAY_MS = 8
+
+// Hidden reasoning tokens billed per reasoning_effort, so the effort
+// setting shows up in cost and energy offline
+const REASONING_TOKENS = { minimal: 0, low: 200, medium: 600, high: 1500 }
+
+// Marker the mock grader looks for when judging an answer
+const INCOMPLETE_MARKER = '(incomplete)'
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Small stable string hash (djb2), used to pick filler deterministically
+ */
+function hashString(text) {
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+/**
+ * Resolve after `ms`, rejecting with an AbortError if the signal fires
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'))
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+/**
+ * Text of a message's content, which is a string or a list of text and
+ * image parts
+ */
+function contentText(content = '') {
+  if (!Array.isArray(content)) return content
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+}
+
+/**
+ * Images in a message's content
+ */
+function countImages(content) {
+  return Array.isArray(content) ? content.filter(part => part.type === 'image_url').length : 0
+}
+
+/**
+ * Compose the full (untruncated) answer for a request
+ */
+function composeAnswer(model, messages) {
+  const system = messages.find(m => m.role === 'system')?.content || ''
+  const lastUserContent = [...messages].reverse().find(m => m.role === 'user')?.content
+  const lastUser = contentText(lastUserContent)
+  const tier = model.tier || 1
+  const weak = tier <= 2
+
+  // Acting as the cascade's self-check grader
+  if (/grading/i.test(system)) {
+    return lastUser.includes(INCOMPLETE_MARKER) ? 'FAIL' : 'PASS'
+  }
+
+  if (weak && lastUser.includes('#refuse')) {
+    return "I'm sorry, but I can't help with that request."
+  }
+
+  const excerpt = lastUser.length > 80 ? `${lastUser.slice(0, 77)}...` : lastUser
+  const sentences = [`[${model.name} mock] You asked: "${excerpt}"`]
+  const images = countImages(lastUserContent)
+  if (images > 0) sentences.push(`I looked at ${images} image${images === 1 ? '' : 's'}.`)
+  const seed = hashString(model.id + lastUser)
+  const count = weak && lastUser.includes('#long') ? 200 : tier + 1
+
+  for (let i = 0; i < count; i++) {
+    sentences.push(FILLER_SENTENCES[(seed + i * 7) % FILLER_SENTENCES.length])
+  }
+  if (weak && lastUser.includes('#hard')) sentences.push(INCOMPLETE_MARKER)
+
+  return sentences.join(' ')
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Mock (offline)',
+
+  /**
+   * Run a completion. Same contract as the OpenAI-compatible adapters:
+   * resolves with { text, usage, finishReason, refusal }.
+   */
+  async complete(model, messages, { stream = false, maxTokens = Infinity, reasoningEffort, stop, signal, onDelta } = {}) {
+    // Like the real APIs, text-only models reject images
+    if (!model.capabilities.includes('vision') && messages.some(m => countImages(m.content) > 0)) {
+      throw createRequestError(`The model \`${model.id}\` does not support image input.`, {
+        category: 'other',
+        status: 400,
+        provider: 'mock'
+      })
+    }
+
+    const lastUser = contentText([...messages].reverse().find(m => m.role === 'user')?.content)
+    if ((model.tier || 1) <= 2 && lastUser.includes('#unavailable')) {
+      throw createRequestError(`The model \`${model.id}\` does not exist or you do not have access to it.`, {
+        category: 'model-unavailable',
+        status: 404,
+        provider: 'mock'
+      })
+    }
+
+    const fullText = composeAnswer(model, messages)
+    const reasoningTokens = Math.min(REASONING_TOKENS[reasoningEffort] || 0, maxTokens)
+
+    // Respect the output limit the way a real model would: reasoning
+    // comes out of it first
+    const answerTokens = maxTokens - reasoningTokens
+    let text = fullText
+    let finishReason = 'stop'
+    // Stop sequences end the answer early, on models that accept them
+    for (const sequence of model.sampling ? stop || [] : []) {
+      const at = text.indexOf(sequence)
+      if (at >= 0) text = text.slice(0, at)
+    }
+    if (estimateTokens(text) > answerTokens) {
+      text = text.slice(0, answerTokens * 4)
+      finishReason = 'length'
+    }
+
+    if (stream) {
+      const words = text.split(/(?<=\s)/)
+      let received = ''
+      for (const word of words) {
+        await delay(STREAM_DELAY_MS * (model.tier || 1), signal)
+        received += word
+        onDelta?.(received)
+      }
+    }
+
+    return {
+      text,
+      usage: {
+        prompt_tokens: estimateMessageTokens(messages),
+        completion_tokens: reasoningTokens + estimateTokens(text),
+        completion_tokens_details: { reasoning_tokens: reasoningTokens }
+      },
+      finishReason,
+      refusal: ''
+    }
+  }
+}
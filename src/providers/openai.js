@@ -0,0 +1,13 @@
+/**
+ * OpenAI provider (api.openai.com, via the proxy).
+ */
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js'
+
+// max_completion_tokens is accepted by every current chat model and is the
+// only limit the reasoning models (o-series, gpt-5) accept
+export const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  tokenLimitParam: 'max_completion_tokens'
+})
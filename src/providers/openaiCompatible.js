@@ -0,0 +1,213 @@
+/**
+ * Adapter factory for providers that speak the OpenAI chat/completions API:
+ * OpenAI itself and local servers such as Ollama or llama.cpp.
+ *
+ * Requests go through the /api/chat proxy, which picks the upstream from
+ * the model's provider, so the browser never holds a key or a server URL.
+ */
+
+import { createRequestError, categorizeResponse, parseRetryAfter } from '../requestErrors.js'
+
+const CHAT_ENDPOINT = '/api/chat'
+
+// Give up on a request after this long without a response or, while
+// streaming, without a new chunk. Reasoning models can think for a while
+// before their first token, so this is generous.
+const IDLE_TIMEOUT_MS = 60 * 1000
+
+/**
+ * Create an OpenAI-compatible provider adapter.
+ *
+ * Options:
+ * - id, name: provider key (as used in MODELS) and display name
+ * - tokenLimitParam: request field for the output limit
+ * - supportsUsageInStream: whether stream_options.include_usage is understood
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  name,
+  tokenLimitParam = 'max_tokens',
+  supportsUsageInStream = true
+}) {
+  /**
+   * Build a chat/completions request body
+   */
+  function buildRequest(model, messages, { stream = false, maxTokens, reasoningEffort, temperature, topP, stop }) {
+    const requestBody = { model: model.id, messages }
+
+    // Non-reasoning models reject reasoning_effort outright
+    if (reasoningEffort && model.reasoningEfforts?.includes(reasoningEffort)) {
+      requestBody.reasoning_effort = reasoningEffort
+    }
+
+    // ...and reasoning models reject sampling parameters
+    if (model.sampling) {
+      if (temperature != null) requestBody.temperature = temperature
+      if (topP != null) requestBody.top_p = topP
+      if (stop?.length) requestBody.stop = stop
+    }
+
+    if (stream) {
+      requestBody.stream = true
+      if (supportsUsageInStream) {
+        // Ask for a final chunk carrying token usage so billing stays exact
+        requestBody.stream_options = { include_usage: true }
+      }
+    }
+
+    requestBody[tokenLimitParam] = maxTokens
+    return requestBody
+  }
+
+  /**
+   * Normalize a non-streamed response
+   */
+  function parseResponse(data) {
+    const choice = data.choices[0]
+    return {
+      text: choice.message.content || '',
+      usage: data.usage || null,
+      finishReason: choice.finish_reason,
+      refusal: choice.message.refusal || ''
+    }
+  }
+
+  /**
+   * Normalize one server-sent event of a streamed response
+   */
+  function parseStreamEvent(chunk) {
+    const choice = chunk.choices?.[0]
+    return {
+      delta: choice?.delta?.content || '',
+      refusal: choice?.delta?.refusal || '',
+      finishReason: choice?.finish_reason || null,
+      usage: chunk.usage || null
+    }
+  }
+
+  /**
+   * Turn a non-OK response into a categorized Error with a useful message
+   */
+  function mapError(status, errorData, headers = new Headers()) {
+    const message = errorData.error?.message || `${name} API error: ${status}`
+    return createRequestError(message, {
+      category: categorizeResponse(status, errorData),
+      status,
+      retryAfterMs: parseRetryAfter(headers),
+      provider: id
+    })
+  }
+
+  /**
+   * fetch() and stream reads reject with a TypeError when the server
+   * can't be reached or the connection drops
+   */
+  function mapNetworkError(err) {
+    if (!(err instanceof TypeError)) return err
+    return createRequestError(
+      `Connection to the API server failed: ${err.message}`,
+      { category: 'network', provider: id }
+    )
+  }
+
+  /**
+   * Read a `stream: true` response (server-sent events), calling onDelta
+   * with each content fragment as it arrives
+   */
+  async function readStream(response, onDelta, onProgress) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    const result = { text: '', usage: null, finishReason: null, refusal: '' }
+
+    while (true) {
+      const { done, value } = await reader.read().catch((err) => { throw mapNetworkError(err) })
+      if (done) break
+      onProgress()
+
+      buffer += decoder.decode(value, { stream: true })
+      // Events are separated by newlines; keep any partial line for the next read
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+
+      for (const line of lines) {
+        const trimmed = line.trim()
+        if (!trimmed.startsWith('data:')) continue
+
+        const payload = trimmed.slice(5).trim()
+        if (payload === '[DONE]') return result
+
+        const event = parseStreamEvent(JSON.parse(payload))
+        if (event.delta) {
+          result.text += event.delta
+          onDelta(result.text)
+        }
+        result.refusal += event.refusal
+        if (event.finishReason) result.finishReason = event.finishReason
+        if (event.usage) result.usage = event.usage
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Run a completion. Resolves with { text, usage, finishReason, refusal };
+   * usage is null if the server didn't report it.
+   *
+   * Failures are thrown as request errors (see requestErrors.js): the
+   * response's category, a network error, or a timeout after
+   * IDLE_TIMEOUT_MS without progress. Aborting `signal` still throws the
+   * plain AbortError.
+   */
+  async function complete(model, messages, { stream = false, maxTokens, reasoningEffort, temperature, topP, stop, signal, onDelta } = {}) {
+    // Our own controller, so an idle request can be cut off without
+    // looking like the user pressed Stop
+    const controller = new AbortController()
+    const abort = () => controller.abort()
+    if (signal?.aborted) abort()
+    signal?.addEventListener('abort', abort, { once: true })
+    let timedOut = false
+    let timer
+    const resetTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, IDLE_TIMEOUT_MS)
+    }
+
+    try {
+      resetTimer()
+      const response = await fetch(CHAT_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(buildRequest(model, messages, { stream, maxTokens, reasoningEffort, temperature, topP, stop })),
+        signal: controller.signal
+      }).catch((err) => { throw mapNetworkError(err) })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw mapError(response.status, errorData, response.headers)
+      }
+
+      if (stream) return await readStream(response, onDelta || (() => {}), resetTimer)
+      return parseResponse(await response.json())
+    } catch (err) {
+      if (timedOut) {
+        throw createRequestError(
+          `${name} sent nothing for ${IDLE_TIMEOUT_MS / 1000}s`,
+          { category: 'timeout', provider: id }
+        )
+      }
+      throw err
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', abort)
+    }
+  }
+
+  return { id, name, buildRequest, parseResponse, parseStreamEvent, mapError, complete }
+}
@@ -0,0 +1,132 @@
+/**
+ * Request errors, sorted into categories by their cause.
+ *
+ * Provider adapters attach a category to every failed request, so the
+ * chat layer can decide what to retry and the UI can say what actually
+ * went wrong instead of a one-size-fits-all hint.
+ */
+
+// ============================================================================
+// CATEGORIES
+// ============================================================================
+
+/**
+ * Error categories:
+ * - label:    short description for the UI
+ * - hint:     what the user can do about it
+ * - retry:    worth retrying the same model after a backoff
+ * - fallback: worth trying a neighbouring tier instead
+ */
+export const ERROR_CATEGORIES = {
+  auth: {
+    label: 'Authentication failed',
+    hint: 'Check that the API key on the server (OPENAI_API_KEY in .env) is set and valid, then restart the server.'
+  },
+  'rate-limit': {
+    label: 'Rate limited',
+    hint: 'Too many requests in a short time. Wait a moment and try again.',
+    retry: true
+  },
+  quota: {
+    label: 'Quota exceeded',
+    hint: "The provider account is out of credit or over its usage limit. Check the account's billing."
+  },
+  'model-unavailable': {
+    label: 'Model unavailable',
+    hint: "This model can't be used with the current key or server. Pick another model.",
+    fallback: true
+  },
+  'context-length': {
+    label: 'Conversation too long',
+    hint: 'Use the sliding window or summarize history strategy, or start a new conversation.'
+  },
+  network: {
+    label: 'Network error',
+    hint: 'Could not reach the API server, or the server could not reach the provider. Check that both are running (npm run dev or npm start, and any local model server).',
+    retry: true
+  },
+  timeout: {
+    label: 'Timed out',
+    hint: 'The model stopped responding. Try again, or pick a faster model.',
+    retry: true
+  },
+  server: {
+    label: 'Provider error',
+    hint: 'The provider had a temporary problem. Try again shortly.',
+    retry: true,
+    fallback: true
+  },
+  other: {
+    label: 'Request failed',
+    hint: ''
+  }
+}
+
+// Error codes (OpenAI's and the proxy's) that identify a category outright
+const CATEGORY_BY_CODE = {
+  invalid_api_key: 'auth',
+  missing_api_key: 'auth',
+  insufficient_quota: 'quota',
+  rate_limit_exceeded: 'rate-limit',
+  model_not_found: 'model-unavailable',
+  model_not_allowed: 'model-unavailable',
+  provider_not_served: 'model-unavailable',
+  upstream_unreachable: 'network',
+  context_length_exceeded: 'context-length'
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Error for a failed request. category is a key of ERROR_CATEGORIES;
+ * status is the HTTP status (if there was a response) and retryAfterMs
+ * the wait the server asked for (if any).
+ */
+export function createRequestError(message, { category, status = null, retryAfterMs = null, provider = null }) {
+  return Object.assign(new Error(message), { category, status, retryAfterMs, provider })
+}
+
+/**
+ * Category for a non-OK response from its status and error body
+ * ({ error: { message, code, type } })
+ */
+export function categorizeResponse(status, errorData = {}) {
+  const { code, type, message = '' } = errorData.error || {}
+  const byCode = CATEGORY_BY_CODE[code] || CATEGORY_BY_CODE[type]
+  if (byCode) return byCode
+
+  if (status === 401 || status === 403) return 'auth'
+  if (status === 429) return 'rate-limit'
+  if (status === 404) return 'model-unavailable'
+  if (status === 408) return 'timeout'
+  if (/context length|maximum context|too many tokens/i.test(message)) return 'context-length'
+  if (status >= 500) return 'server'
+  return 'other'
+}
+
+/**
+ * Milliseconds a response asks us to wait, from Retry-After (seconds or
+ * an HTTP date) or OpenAI's retry-after-ms. Null when there's neither.
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  const ms = Number(headers.get('retry-after-ms'))
+  if (ms > 0) return ms
+
+  const value = headers.get('retry-after')
+  if (!value) return null
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * Title and hint for showing an error. Errors from outside the request
+ * layer (or without a category) fall back to "Request failed".
+ */
+export function describeError(err) {
+  const category = ERROR_CATEGORIES[err.category] || ERROR_CATEGORIES.other
+  return { label: category.label, message: err.message, hint: category.hint }
+}
@@ -0,0 +1,167 @@
+/**
+ * Persistent response cache, so a repeated question costs nothing.
+ *
+ * Entries are keyed by the normalized prompt, a hash of the conversation
+ * before it, and the route (the model the sliders chose, cascade or not,
+ * the generation settings and the system prompt, all of which change the
+ * answer). In near-duplicate mode a prompt also matches a cached one with
+ * the same context and route whose words mostly overlap.
+ *
+ * Entries expire after the configured TTL, and the oldest are dropped
+ * beyond MAX_ENTRIES so the cache stays small enough for localStorage.
+ */
+
+import { readJson, writeJson } from './localStore.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CACHE_KEY = 'low-energy-ai:response-cache'
+const SETTINGS_KEY = 'low-energy-ai:cache-settings'
+
+const MAX_ENTRIES = 200
+
+// Share of distinct words two prompts must have in common (Jaccard
+// similarity) to count as near-duplicates
+const NEAR_DUPLICATE_SIMILARITY = 0.8
+
+export const CACHE_MATCH_MODES = {
+  exact: 'Exact match',
+  near: 'Near-duplicates too'
+}
+
+// How long an answer stays reusable, in hours
+export const CACHE_TTL_OPTIONS = {
+  1: '1 hour',
+  24: '1 day',
+  168: '1 week',
+  720: '30 days'
+}
+
+export const DEFAULT_CACHE_SETTINGS = { enabled: true, matchMode: 'exact', ttlHours: 24 }
+
+const HOUR_MS = 60 * 60 * 1000
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Prompt text with case, spacing and trailing punctuation ironed out
+ */
+export function normalizePrompt(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s?!.]+$/, '')
+}
+
+/**
+ * Short stable hash (FNV-1a) of a string
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash.toString(36)
+}
+
+/**
+ * Hash of the conversation (messages as { text, isUser, attachments? })
+ * before a prompt. Attachments count by name and size.
+ */
+export function hashContext(history) {
+  return hashText(history.map(m => {
+    const files = (m.attachments || []).map(a => `[${a.name}:${a.size}]`).join('')
+    return `${m.isUser ? 'u' : 'a'}:${m.text}${files}`
+  }).join('\n'))
+}
+
+/**
+ * Everything about the route that changes the answer
+ */
+export function getRouteKey({ modelId, cascade, generation, systemPrompt = null }) {
+  return [
+    modelId,
+    cascade ? 'cascade' : 'direct',
+    generation.reasoningEffort,
+    generation.maxOutputTokens,
+    generation.temperature ?? '',
+    generation.topP ?? '',
+    JSON.stringify(generation.stop || []),
+    ...(systemPrompt ? [hashText(systemPrompt)] : [])
+  ].join('|')
+}
+
+/**
+ * Jaccard similarity of two normalized prompts' word sets
+ */
+function similarity(a, b) {
+  const wordsA = new Set(a.split(' '))
+  const wordsB = new Set(b.split(' '))
+  let shared = 0
+  for (const word of wordsA) if (wordsB.has(word)) shared++
+  return shared / (wordsA.size + wordsB.size - shared)
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+export function loadCacheSettings() {
+  return { ...DEFAULT_CACHE_SETTINGS, ...readJson(SETTINGS_KEY, {}) }
+}
+
+export function saveCacheSettings(settings) {
+  writeJson(SETTINGS_KEY, settings)
+}
+
+/**
+ * Cached entries that haven't expired under `ttlHours`
+ */
+export function loadCache(ttlHours, now = Date.now()) {
+  return readJson(CACHE_KEY, []).filter(entry => now - entry.createdAt < ttlHours * HOUR_MS)
+}
+
+export function clearCache() {
+  writeJson(CACHE_KEY, [])
+}
+
+/**
+ * Find a cached answer for `prompt`. Returns the entry (with `similarity`,
+ * 1 for an exact match) or null.
+ */
+export function findCachedResponse(entries, { prompt, contextHash, routeKey }, matchMode) {
+  const normalized = normalizePrompt(prompt)
+  const candidates = entries.filter(e => e.contextHash === contextHash && e.routeKey === routeKey)
+
+  const exact = candidates.find(e => e.prompt === normalized)
+  if (exact) return { ...exact, similarity: 1 }
+  if (matchMode !== 'near') return null
+
+  let best = null
+  for (const entry of candidates) {
+    const score = similarity(normalized, entry.prompt)
+    if (score >= NEAR_DUPLICATE_SIMILARITY && (!best || score > best.similarity)) {
+      best = { ...entry, similarity: score }
+    }
+  }
+  return best
+}
+
+/**
+ * Store an answer and return the updated entries. `answer` is
+ * { text, modelId, cost, energyWh }: what the answer cost, which is what
+ * each later hit saves.
+ */
+export function cacheResponse(entries, { prompt, contextHash, routeKey }, answer, now = Date.now()) {
+  const normalized = normalizePrompt(prompt)
+  const kept = entries.filter(e =>
+    !(e.prompt === normalized && e.contextHash === contextHash && e.routeKey === routeKey))
+  const next = [
+    ...kept,
+    { prompt: normalized, contextHash, routeKey, ...answer, createdAt: now }
+  ].slice(-MAX_ENTRIES)
+  writeJson(CACHE_KEY, next)
+  return next
+}
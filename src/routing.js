@@ -0,0 +1,495 @@
+/**
+ * Routing policies: which model tier a query goes to, as data.
+ *
+ * A policy is an ordered list of rules. Routing starts at tier 1 and runs
+ * through the rules in order; every rule whose conditions all match applies
+ * its action to the current tier, and a rule marked `stop` ends the run.
+ * The result is clamped to the ladder and finally to the budget cap.
+ *
+ *   {
+ *     "id": "...", "name": "My policy", "description": "...",
+ *     "rules": [
+ *       { "name": "Simple prompts", "when": { "complexity": { "max": 2 } }, "then": { "tier": 1 } },
+ *       { "name": "Code", "when": { "hasCode": true }, "then": { "model": "o4-mini" }, "stop": true }
+ *     ]
+ *   }
+ *
+ * Conditions (all must match; an empty `when` always matches):
+ * - efficiency, speed, complexity    slider values 1-5
+ * - words, messages                  prompt length, messages so far
+ * - budgetUsed                       fraction of the most-used budget (0-1+)
+ *   numeric conditions take a number (exact match) or { "min", "max" }
+ * - hasCode, hasMath, multiStep, analysis, simpleTask    prompt features, true/false
+ *
+ * Actions (exactly one): tier, model, up, down, maxTier, minTier.
+ *
+ * Alongside the model, routing sets how hard a reasoning model thinks
+ * (reasoning_effort) and how long an answer may be, both from the Speed
+ * and Efficiency sliders.
+ *
+ * In adaptive mode, ratings of similar prompts then move the policy's
+ * choice (see preferenceSignals.js). A request the chosen model can't
+ * handle (images for a text-only model, or more tokens than its context
+ * window) moves up to the cheapest model that can, before the budget cap
+ * applies.
+ */
+
+import { MODELS, MODEL_TIERS, getUnmetNeeds } from './models.js'
+import { readJson, writeJson } from './localStore.js'
+import { adjustTierFromFeedback } from './preferenceSignals.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const POLICIES_KEY = 'low-energy-ai:routing-policies'
+const ACTIVE_POLICY_KEY = 'low-energy-ai:active-policy'
+
+// Numeric conditions and their allowed range
+const NUMERIC_CONDITIONS = {
+  efficiency: { label: 'efficiency', min: 1, max: 5 },
+  speed: { label: 'speed', min: 1, max: 5 },
+  complexity: { label: 'complexity', min: 1, max: 5 },
+  words: { label: 'prompt words', min: 0, max: Infinity },
+  messages: { label: 'messages so far', min: 0, max: Infinity },
+  budgetUsed: { label: 'budget used', min: 0, max: Infinity }
+}
+
+// Prompt features from complexity.js that rules can test
+const BOOLEAN_CONDITIONS = {
+  hasCode: 'has code',
+  hasMath: 'has math',
+  multiStep: 'is multi-step',
+  analysis: 'asks for analysis',
+  simpleTask: 'is a simple task'
+}
+
+const ACTIONS = ['tier', 'model', 'up', 'down', 'maxTier', 'minTier']
+
+// How routing traces name a missing capability
+const CAPABILITY_LABELS = {
+  vision: 'image input',
+  'long-context': 'a larger context window'
+}
+
+// Reasoning effort and answer length (output tokens) for the higher of the
+// Speed and Efficiency sliders. The middle setting matches the API's
+// default effort and the app's original 500-token limit.
+const GENERATION_BY_SLIDER = {
+  1: { reasoningEffort: 'high', maxOutputTokens: 2000 },
+  2: { reasoningEffort: 'high', maxOutputTokens: 1000 },
+  3: { reasoningEffort: 'medium', maxOutputTokens: 500 },
+  4: { reasoningEffort: 'low', maxOutputTokens: 300 },
+  5: { reasoningEffort: 'minimal', maxOutputTokens: 200 }
+}
+
+/**
+ * The built-in policy: the original hard-coded routing, rule for rule.
+ * Complexity sets a base tier, efficiency nudges it, and speed caps it.
+ */
+export const DEFAULT_POLICY = {
+  id: 'default',
+  name: 'Default',
+  description: 'Complexity sets the base tier, efficiency nudges it, speed caps it.',
+  builtIn: true,
+  rules: [
+    { name: 'Complexity 1', when: { complexity: 1 }, then: { tier: 2 } },
+    { name: 'Complexity 2', when: { complexity: 2 }, then: { tier: 3 } },
+    { name: 'Complexity 3', when: { complexity: 3 }, then: { tier: 4 } },
+    { name: 'Complexity 4', when: { complexity: 4 }, then: { tier: 5 } },
+    { name: 'Complexity 5', when: { complexity: 5 }, then: { tier: 6 } },
+    {
+      name: 'Efficient and simple: most efficient model',
+      when: { efficiency: { min: 4 }, complexity: { max: 2 } },
+      then: { tier: 1 }
+    },
+    {
+      name: 'Efficient, medium complexity: step down',
+      when: { efficiency: { min: 4 }, complexity: 3 },
+      then: { down: 1 }
+    },
+    {
+      name: 'Efficiency not a concern, complex task: step up',
+      when: { efficiency: { max: 2 }, complexity: { min: 4 } },
+      then: { up: 1 }
+    },
+    {
+      // Tier 3 is o4-mini, a (fast) reasoning model, not gpt-4.1
+      name: 'Fast, not complex: at most o4-mini',
+      when: { speed: { min: 4 }, complexity: { max: 3 } },
+      then: { maxTier: 3 }
+    },
+    {
+      // Tier 4 is gpt-4.1; the original code's comment called this o4-mini
+      name: 'Fast and complex: GPT-4.1',
+      when: { speed: { min: 4 }, complexity: { min: 4 } },
+      then: { tier: 4 }
+    }
+  ]
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Whether one condition matches the routing context
+ */
+function conditionMatches(key, expected, context) {
+  const actual = context[key]
+  if (key in BOOLEAN_CONDITIONS) return Boolean(actual) === expected
+  if (typeof expected === 'number') return actual === expected
+  return (expected.min === undefined || actual >= expected.min) &&
+    (expected.max === undefined || actual <= expected.max)
+}
+
+/**
+ * Apply a rule's action to the current tier (before clamping)
+ */
+function applyAction(action, tier) {
+  if ('tier' in action) return action.tier
+  // A saved policy may name a model outside the ladder now in use
+  if ('model' in action) return MODELS[action.model]?.tier ?? tier
+  if ('up' in action) return tier + action.up
+  if ('down' in action) return tier - action.down
+  if ('maxTier' in action) return Math.min(tier, action.maxTier)
+  if ('minTier' in action) return Math.max(tier, action.minTier)
+  return tier
+}
+
+const clampTier = (tier) => Math.max(1, Math.min(MODEL_TIERS.length, tier))
+
+const tierModel = (tier) => MODELS[MODEL_TIERS[tier - 1]]
+
+/**
+ * The tier nearest `tier` (no higher than maxTier) whose model meets
+ * `needs`: the cheapest one above it, or failing that the closest below.
+ * Null when none can.
+ */
+export function findCapableTier(tier, needs, maxTier = MODEL_TIERS.length) {
+  for (let candidate = tier; candidate <= maxTier; candidate++) {
+    if (getUnmetNeeds(tierModel(candidate), needs).length === 0) return candidate
+  }
+  for (let candidate = Math.min(tier, maxTier + 1) - 1; candidate >= 1; candidate--) {
+    if (getUnmetNeeds(tierModel(candidate), needs).length === 0) return candidate
+  }
+  return null
+}
+
+/**
+ * Pick a model for a query.
+ *
+ * `context` holds the slider values (efficiency, speed, complexity), the
+ * prompt features from extractPromptFeatures(), budgetUsed, and optionally
+ * `needs` (see getUnmetNeeds) and `feedback`, the ratings of similar
+ * prompts in adaptive mode (see adjustTierFromFeedback). `maxTier` is the
+ * highest tier budgets currently allow.
+ *
+ * Returns { model, tier, trace, budgetLimitedFrom, feedbackShift,
+ * capabilityShift, unmetNeeds, generation }: `tier` is what the policy
+ * chose (moved by ratings and for capabilities if needed), and
+ * `budgetLimitedFrom` is set when the budget cap lowered it.
+ * `feedbackShift` is { from, to, up, down } when ratings moved the tier,
+ * with the votes each way. `capabilityShift` is { from, to, needs } when the
+ * policy's model couldn't handle the request, and `unmetNeeds` lists what
+ * the final model still can't do (when nothing within the cap can).
+ * `trace` explains the choice step by step, as [{ label, from, to, rule? }]:
+ * the starting tier, every rule that matched (even if it left the tier
+ * alone), any move from ratings or for capabilities, and the budget cap
+ * if it applied.
+ * `generation` is the reasoning effort and answer length from
+ * deriveGeneration().
+ */
+export function selectModel(policy, context, maxTier = MODEL_TIERS.length) {
+  let tier = 1
+  const trace = [{ label: 'Start', from: null, to: tier }]
+
+  for (const [idx, rule] of policy.rules.entries()) {
+    const when = rule.when || {}
+    if (!Object.entries(when).every(([key, expected]) => conditionMatches(key, expected, context))) {
+      continue
+    }
+    const from = tier
+    tier = clampTier(applyAction(rule.then, tier))
+    trace.push({ label: rule.name || `Rule ${idx + 1}`, from, to: tier, rule })
+    if (rule.stop) break
+  }
+
+  // Adaptive mode: ratings of similar prompts move the policy's choice
+  let feedbackShift = null
+  if (context.feedback?.length) {
+    const learned = adjustTierFromFeedback(tier, context.feedback)
+    if (learned.tier !== tier) {
+      feedbackShift = { from: tier, to: learned.tier, up: learned.up, down: learned.down }
+      trace.push({ label: 'Learned from ratings', from: tier, to: learned.tier })
+      tier = learned.tier
+    }
+  }
+
+  const needs = context.needs || {}
+  let capabilityShift = null
+  const missing = getUnmetNeeds(tierModel(tier), needs)
+  if (missing.length > 0) {
+    const capable = findCapableTier(tier, needs)
+    if (capable !== null) {
+      capabilityShift = { from: tier, to: capable, needs: missing }
+      trace.push({ label: `Needs ${missing.map(need => CAPABILITY_LABELS[need]).join(' and ')}`, from: tier, to: capable })
+      tier = capable
+    }
+  }
+
+  const budgetLimited = tier > maxTier
+  let finalTier = Math.min(tier, maxTier)
+  if (budgetLimited) {
+    trace.push({ label: 'Budget cap', from: tier, to: maxTier })
+    // The capped model may not handle the request; use one within the cap that does
+    const capable = findCapableTier(maxTier, needs, maxTier)
+    if (capable !== null && capable !== maxTier) {
+      trace.push({ label: 'Capable within the cap', from: maxTier, to: capable })
+      finalTier = capable
+    }
+  }
+
+  return {
+    model: tierModel(finalTier),
+    tier,
+    trace,
+    budgetLimitedFrom: budgetLimited ? tier : null,
+    feedbackShift,
+    capabilityShift,
+    unmetNeeds: getUnmetNeeds(tierModel(finalTier), needs),
+    generation: deriveGeneration(context)
+  }
+}
+
+/**
+ * Reasoning effort and answer length for the sliders: the more the user
+ * leans towards speed or efficiency, the less a model thinks and the
+ * shorter it answers. Returns { reasoningEffort, maxOutputTokens, slider },
+ * where `slider` names the slider that decided it.
+ */
+export function deriveGeneration({ efficiency, speed }) {
+  const slider = speed > efficiency ? 'speed' : 'efficiency'
+  return { ...GENERATION_BY_SLIDER[Math.max(efficiency, speed)], slider }
+}
+
+// ============================================================================
+// SLIDER-SPACE MAP
+// ============================================================================
+
+const SLIDER_VALUES = [1, 2, 3, 4, 5]
+
+/**
+ * Route every combination of the three sliders (5 × 5 × 5 = 125) through
+ * a policy, with no prompt features and no budget use, and look for gaps
+ * and inconsistencies.
+ *
+ * Returns:
+ * - tiers:           tiers[complexity - 1][efficiency - 1][speed - 1]
+ * - unusedTiers:     tiers no combination reaches
+ * - inconsistencies: readable notes where raising complexity lowers the
+ *                    tier, or raising efficiency or speed raises it
+ */
+export function mapSliderSpace(policy) {
+  const route = (efficiency, speed, complexity) =>
+    selectModel(policy, { efficiency, speed, complexity, budgetUsed: 0 }).tier
+
+  const tiers = SLIDER_VALUES.map(complexity =>
+    SLIDER_VALUES.map(efficiency =>
+      SLIDER_VALUES.map(speed => route(efficiency, speed, complexity))))
+
+  const used = new Set(tiers.flat(2))
+  const unusedTiers = MODEL_TIERS.map((_, idx) => idx + 1).filter(tier => !used.has(tier))
+
+  const inconsistencies = []
+  const at = (c, e, s) => tiers[c - 1][e - 1][s - 1]
+  for (const c of SLIDER_VALUES) {
+    for (const e of SLIDER_VALUES) {
+      for (const s of SLIDER_VALUES) {
+        const where = `efficiency ${e}, speed ${s}`
+        if (c < 5 && at(c + 1, e, s) < at(c, e, s)) {
+          inconsistencies.push(
+            `Complexity ${c} → ${c + 1} drops tier ${at(c, e, s)} → ${at(c + 1, e, s)} (${where})`
+          )
+        }
+        if (e < 5 && at(c, e + 1, s) > at(c, e, s)) {
+          inconsistencies.push(
+            `Efficiency ${e} → ${e + 1} raises tier ${at(c, e, s)} → ${at(c, e + 1, s)} (complexity ${c}, speed ${s})`
+          )
+        }
+        if (s < 5 && at(c, e, s + 1) > at(c, e, s)) {
+          inconsistencies.push(
+            `Speed ${s} → ${s + 1} raises tier ${at(c, e, s)} → ${at(c, e, s + 1)} (complexity ${c}, efficiency ${e})`
+          )
+        }
+      }
+    }
+  }
+
+  return { tiers, unusedTiers, inconsistencies }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a policy's shape. Returns a list of problems (empty when valid),
+ * each prefixed with where it was found, e.g. "rules[2].when.speed: ...".
+ */
+export function validatePolicy(policy) {
+  const errors = []
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  const isTier = (value) => Number.isInteger(value) && value >= 1 && value <= MODEL_TIERS.length
+
+  if (!isObject(policy)) return ['Policy must be a JSON object']
+  if (typeof policy.name !== 'string' || !policy.name.trim()) errors.push('name: required')
+  if (!Array.isArray(policy.rules)) return [...errors, 'rules: must be a list']
+  if (policy.rules.length === 0) errors.push('rules: add at least one rule')
+
+  policy.rules.forEach((rule, idx) => {
+    const at = `rules[${idx}]`
+    if (!isObject(rule)) {
+      errors.push(`${at}: must be an object`)
+      return
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') errors.push(`${at}.name: must be text`)
+    if (rule.stop !== undefined && typeof rule.stop !== 'boolean') errors.push(`${at}.stop: must be true or false`)
+
+    // Conditions
+    if (rule.when !== undefined && !isObject(rule.when)) {
+      errors.push(`${at}.when: must be an object`)
+    } else {
+      for (const [key, value] of Object.entries(rule.when || {})) {
+        const where = `${at}.when.${key}`
+        if (key in BOOLEAN_CONDITIONS) {
+          if (typeof value !== 'boolean') errors.push(`${where}: must be true or false`)
+          continue
+        }
+        const range = NUMERIC_CONDITIONS[key]
+        if (!range) {
+          errors.push(`${where}: unknown condition`)
+          continue
+        }
+        const bounds = typeof value === 'number' ? { min: value, max: value } : value
+        if (!isObject(bounds) || Object.keys(bounds).some(k => k !== 'min' && k !== 'max') ||
+            Object.keys(bounds).length === 0) {
+          errors.push(`${where}: use a number or { "min", "max" }`)
+          continue
+        }
+        for (const bound of Object.values(bounds)) {
+          if (typeof bound !== 'number' || bound < range.min || bound > range.max) {
+            errors.push(`${where}: values must be numbers from ${range.min} to ${range.max}`)
+          }
+        }
+        if (bounds.min > bounds.max) errors.push(`${where}: min is greater than max`)
+      }
+    }
+
+    // Action
+    const keys = isObject(rule.then) ? Object.keys(rule.then) : []
+    if (keys.length !== 1 || !ACTIONS.includes(keys[0])) {
+      errors.push(`${at}.then: needs exactly one of ${ACTIONS.join(', ')}`)
+      return
+    }
+    const [action] = keys
+    const value = rule.then[action]
+    if (action === 'model') {
+      if (!MODELS[value]) errors.push(`${at}.then.model: unknown model "${value}"`)
+      else if (!MODELS[value].tier) errors.push(`${at}.then.model: "${value}" is not in the active tier ladder`)
+    } else if ((action === 'up' || action === 'down') && !(Number.isInteger(value) && value > 0)) {
+      errors.push(`${at}.then.${action}: must be a whole number of tiers`)
+    } else if ((action === 'tier' || action === 'maxTier' || action === 'minTier') && !isTier(value)) {
+      errors.push(`${at}.then.${action}: must be a tier from 1 to ${MODEL_TIERS.length}`)
+    }
+  })
+
+  return errors
+}
+
+// ============================================================================
+// DESCRIPTIONS
+// ============================================================================
+
+/**
+ * Readable condition list, e.g. "efficiency ≥ 4 and complexity ≤ 2"
+ */
+export function describeConditions(when = {}) {
+  const parts = Object.entries(when).map(([key, value]) => {
+    if (key in BOOLEAN_CONDITIONS) return `${value ? '' : 'not '}${BOOLEAN_CONDITIONS[key]}`
+    const label = NUMERIC_CONDITIONS[key]?.label || key
+    if (typeof value === 'number') return `${label} = ${value}`
+    if (value.min !== undefined && value.max !== undefined) {
+      return value.min === value.max ? `${label} = ${value.min}` : `${label} ${value.min}-${value.max}`
+    }
+    return value.min !== undefined ? `${label} ≥ ${value.min}` : `${label} ≤ ${value.max}`
+  })
+  return parts.length ? parts.join(' and ') : 'always'
+}
+
+/**
+ * Readable action, e.g. "tier 1 (GPT-4.1 Nano)" or "at most tier 3"
+ */
+export function describeAction(then) {
+  const tierName = (tier) => MODELS[MODEL_TIERS[tier - 1]]?.name
+  if ('tier' in then) return `tier ${then.tier} (${tierName(then.tier)})`
+  if ('model' in then) return MODELS[then.model]?.name || then.model
+  if ('up' in then) return `up ${then.up} tier${then.up === 1 ? '' : 's'}`
+  if ('down' in then) return `down ${then.down} tier${then.down === 1 ? '' : 's'}`
+  if ('maxTier' in then) return `at most tier ${then.maxTier} (${tierName(then.maxTier)})`
+  if ('minTier' in then) return `at least tier ${then.minTier} (${tierName(then.minTier)})`
+  return '?'
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * All policies: the built-in default followed by the user's own
+ */
+export function loadPolicies() {
+  return [DEFAULT_POLICY, ...readJson(POLICIES_KEY, [])]
+}
+
+/**
+ * Save the user's policies (the built-in default is never stored)
+ */
+export function savePolicies(policies) {
+  writeJson(POLICIES_KEY, policies.filter(p => !p.builtIn))
+}
+
+export function loadActivePolicyId() {
+  return readJson(ACTIVE_POLICY_KEY, DEFAULT_POLICY.id)
+}
+
+export function saveActivePolicyId(id) {
+  writeJson(ACTIVE_POLICY_KEY, id)
+}
+
+/**
+ * Parse policies from imported JSON (one policy or a list). Each gets a
+ * fresh ID so imports never overwrite existing policies.
+ * Throws an Error listing the problems if any policy is invalid.
+ */
+export function parsePolicyImport(json) {
+  const data = JSON.parse(json)
+  const policies = Array.isArray(data) ? data : [data]
+  const problems = policies.flatMap((policy, idx) =>
+    validatePolicy(policy).map(error => policies.length > 1 ? `Policy ${idx + 1}: ${error}` : error)
+  )
+  if (problems.length > 0) throw new Error(problems.join('\n'))
+
+  return policies.map((policy) => {
+    const { builtIn: _builtIn, ...data } = policy
+    return { ...data, id: crypto.randomUUID() }
+  })
+}
+
+/**
+ * A policy as pretty-printed JSON for export or editing
+ */
+export function policyToJson(policy) {
+  const { id: _id, builtIn: _builtIn, ...data } = policy
+  return JSON.stringify(data, null, 2)
+}
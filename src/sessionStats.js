@@ -0,0 +1,52 @@
+/**
+ * Per-conversation session totals shown in the savings panel.
+ *
+ * Everything is derived from reported (or estimated) token usage, and
+ * the counterfactual figures are what sending each query once to the
+ * comparison model would have cost.
+ */
+
+export const EMPTY_SESSION_STATS = {
+  queryCount: 0,
+  cost: 0,
+  comparisonCost: 0,
+  energyWh: 0,
+  comparisonEnergyWh: 0,
+  escalationCount: 0,
+  escalationCost: 0,
+  cacheHits: 0,
+  cacheSavedCost: 0,
+  cacheSavedEnergyWh: 0
+}
+
+/**
+ * Add one answered query to `stats`. `query` is { cost, energyWh,
+ * comparisonCost, comparisonEnergyWh, escalations, escalationCost,
+ * isRetry }; a retry is the same query, so its counterfactual is already
+ * counted. Totals not about queries (cache hits) are kept.
+ */
+export function addQueryStats(stats, query) {
+  const { isRetry = false } = query
+  return {
+    ...stats,
+    queryCount: stats.queryCount + (isRetry ? 0 : 1),
+    comparisonCost: stats.comparisonCost + (isRetry ? 0 : query.comparisonCost),
+    comparisonEnergyWh: stats.comparisonEnergyWh + (isRetry ? 0 : query.comparisonEnergyWh),
+    cost: stats.cost + query.cost,
+    energyWh: stats.energyWh + query.energyWh,
+    escalationCount: stats.escalationCount + query.escalations,
+    escalationCost: stats.escalationCost + query.escalationCost
+  }
+}
+
+/**
+ * Add a reused cached answer to `stats`: what it would have cost again
+ */
+export function addCacheHitStats(stats, entry) {
+  return {
+    ...stats,
+    cacheHits: (stats.cacheHits || 0) + 1,
+    cacheSavedCost: (stats.cacheSavedCost || 0) + entry.cost,
+    cacheSavedEnergyWh: (stats.cacheSavedEnergyWh || 0) + entry.energyWh
+  }
+}
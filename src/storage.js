@@ -0,0 +1,137 @@
+/**
+ * Conversation persistence in IndexedDB.
+ *
+ * Each conversation is stored whole: its title, slider settings, messages
+ * (with each answer's model, cost and energy), the summary of older turns
+ * if history is summarized, and session stats. If
+ * IndexedDB is unavailable (e.g. some private browsing modes) the calls
+ * fall back to an in-memory store so the app still works for the session.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DB_NAME = 'low-energy-ai'
+const DB_VERSION = 1
+const CONVERSATION_STORE = 'conversations'
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+// In-memory fallback when IndexedDB can't be opened
+const memoryStore = new Map()
+
+let dbPromise = null
+
+/**
+ * Open (and on first run, create) the database. Resolves with null
+ * when IndexedDB isn't available.
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') return resolve(null)
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+        db.createObjectStore(CONVERSATION_STORE, { keyPath: 'id' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn('IndexedDB unavailable, conversations will not persist:', request.error)
+      resolve(null)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * Run one request against a store and resolve with its result
+ */
+async function withStore(mode, run) {
+  const db = await openDb()
+  if (!db) return run(null)
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CONVERSATION_STORE, mode)
+    const request = run(tx.objectStore(CONVERSATION_STORE))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    // Aborted transactions (e.g. over the storage quota) may not fire onerror
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'))
+  })
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+/**
+ * All saved conversations, newest first
+ */
+export async function listConversations() {
+  const conversations = await withStore('readonly', (store) =>
+    store ? store.getAll() : null
+  ) || [...memoryStore.values()]
+
+  return conversations.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+/**
+ * Insert or replace a conversation
+ */
+export async function saveConversation(conversation) {
+  await withStore('readwrite', (store) => {
+    if (!store) {
+      memoryStore.set(conversation.id, conversation)
+      return null
+    }
+    return store.put(conversation)
+  })
+}
+
+/**
+ * Delete a conversation by ID
+ */
+export async function deleteConversation(id) {
+  await withStore('readwrite', (store) => {
+    if (!store) {
+      memoryStore.delete(id)
+      return null
+    }
+    return store.delete(id)
+  })
+}
+
+/**
+ * A new, empty conversation with the given slider settings
+ */
+export function createConversation(settings) {
+  return {
+    id: crypto.randomUUID(),
+    title: '',
+    createdAt: Date.now(),
+    settings,
+    messages: [],
+    historySummary: null,
+    stats: null,
+    lastQuery: null
+  }
+}
+
+/**
+ * Display title: the user's name for it, else the start of the first prompt
+ */
+export function getConversationTitle(conversation) {
+  if (conversation.title) return conversation.title
+  const firstPrompt = conversation.messages.find(m => m.isUser)?.text
+  if (!firstPrompt) return 'New conversation'
+  return firstPrompt.length > 40 ? `${firstPrompt.slice(0, 37)}...` : firstPrompt
+}
@@ -0,0 +1,65 @@
+/**
+ * Local token estimates, used for costing before a request is sent and
+ * where the API hasn't reported usage.
+ *
+ * This approximates the pre-tokenization step of OpenAI's BPE tokenizers
+ * (split into words, number groups, punctuation runs and whitespace) and
+ * then counts a piece as one token when it's short and common-shaped, or
+ * about one token per 4 characters when it's long. It's an estimate, not
+ * a count: real tokenizers can differ, especially on unusual text.
+ */
+
+// Pieces the tokenizer splits text into before merging: contractions,
+// words (with their leading space), up to 3 digits, punctuation runs, whitespace
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)|[^\S\n]?\p{L}+|\p{N}{1,3}|[^\S\n]?[^\s\p{L}\p{N}]+|\s+/gu
+
+// Words up to this many letters are usually a single token
+const SINGLE_TOKEN_WORD_LENGTH = 6
+
+// Chat formatting adds a few tokens per message, plus a few to prime the reply
+const TOKENS_PER_MESSAGE = 4
+const TOKENS_PER_REPLY = 3
+
+// An image in the prompt, at high detail and about 1024×1024 (OpenAI bills
+// 85 tokens plus 170 per 512px tile)
+export const IMAGE_TOKENS = 765
+
+/**
+ * Estimated token count for a piece of text
+ */
+export function estimateTokens(text) {
+  let tokens = 0
+  for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+    const trimmed = piece.trim()
+    if (!trimmed) {
+      tokens += 1
+    } else if (/^\p{L}+$/u.test(trimmed)) {
+      tokens += trimmed.length <= SINGLE_TOKEN_WORD_LENGTH ? 1 : Math.ceil(trimmed.length / 4)
+    } else if (/^\p{N}+$/u.test(trimmed)) {
+      tokens += 1
+    } else {
+      // Punctuation and symbols merge less often; roughly one token per 2 chars
+      tokens += Math.ceil(trimmed.length / 2)
+    }
+  }
+  return tokens
+}
+
+/**
+ * Estimated tokens for a message's content: a string, or a list of text
+ * and image parts
+ */
+function estimateContentTokens(content) {
+  if (!Array.isArray(content)) return estimateTokens(content)
+  return content.reduce((sum, part) => sum + (part.type === 'text' ? estimateTokens(part.text) : IMAGE_TOKENS), 0)
+}
+
+/**
+ * Estimated prompt tokens for a list of API messages ({ role, content })
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce(
+    (sum, message) => sum + TOKENS_PER_MESSAGE + estimateContentTokens(message.content),
+    TOKENS_PER_REPLY
+  )
+}
@@ -0,0 +1,23 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractPromptFeatures, inferComplexity } from '../src/complexity.js'
+
+const hasMath = (prompt) => extractPromptFeatures(prompt, []).hasMath
+
+test('dates, ranges and prices are not math', () => {
+  for (const prompt of [
+    'What day of the week was 2024-05-01?',
+    'Suggest 10-20 houseplants that are hard to kill.',
+    'Remind me to call the dentist on 12/05/2024.',
+    'Is it worth $5 or $10 a month?'
+  ]) {
+    assert.equal(hasMath(prompt), false, prompt)
+    assert.equal(inferComplexity(prompt, []).complexity, 1, prompt)
+  }
+})
+
+test('arithmetic, fractions and inline LaTeX are math', () => {
+  for (const prompt of ['What is 5+5?', 'Solve 12 - 7', 'What is 3/4 + 1/8?', 'Simplify $x^2 + 2x$', 'Evaluate \\frac{1}{2}']) {
+    assert.equal(hasMath(prompt), true, prompt)
+  }
+})
@@ -0,0 +1,128 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { DEFAULT_POLICY } from '../src/routing.js'
+import { parseSuite, gradeCase, summarizeRun, toBaseline, compareWithBaseline } from '../eval/evaluate.js'
+
+const RUN_SCRIPT = fileURLToPath(new URL('../eval/run.js', import.meta.url))
+
+// One policy's results, with just the fields the reports read
+const result = (id, tier, minTier, quality) => ({
+  id, tier, minTier, quality, outcome: 'accepted', cost: tier / 1000, energyWh: tier / 10
+})
+const runOf = (results) => [{ policy: DEFAULT_POLICY, results }]
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [RUN_SCRIPT, ...args], { encoding: 'utf8', timeout: 60000 })
+}
+
+test('parseSuite skips comments and blank lines and numbers cases without an id', () => {
+  const cases = parseSuite('// a comment\n\n{"prompt": "Hi", "minTier": 1}\n{"id": "b", "prompt": "Why?"}\n')
+  assert.deepEqual(cases.map(c => c.id), ['3', 'b'])
+})
+
+test('parseSuite lists every invalid line', () => {
+  const suite = [
+    'not json',
+    '{"minTier": 1}',
+    '{"prompt": "Hi", "minTier": 9, "rubric": "words", "settings": {"speed": 0}}'
+  ].join('\n')
+  assert.throws(() => parseSuite(suite), (err) => {
+    assert.match(err.message, /^Line 1: not valid JSON/m)
+    assert.match(err.message, /^Line 2: "prompt" must be a non-empty string/m)
+    assert.match(err.message, /^Line 3: "minTier" must be a tier/m)
+    assert.match(err.message, /^Line 3: "rubric" must be a list of strings/m)
+    assert.match(err.message, /^Line 3: "settings.speed" must be a whole number/m)
+    return true
+  })
+  assert.throws(() => parseSuite('// only a comment\n'), /The suite has no cases/)
+})
+
+test('gradeCase checks answer text only when asked, and scores unaccepted answers 0', () => {
+  const testCase = { minTier: 2, expected: '/canberra/i', rubric: ['capital', 'Australia'] }
+  const answer = { tier: 3, outcome: 'accepted', text: 'Canberra is the capital.' }
+  assert.deepEqual(gradeCase(testCase, answer, { checkText: false }), { quality: 1, checks: { minTier: 1 } })
+  assert.equal(gradeCase(testCase, answer, { checkText: true }).quality, (1 + 1 + 0.5) / 3)
+  assert.equal(gradeCase(testCase, { ...answer, outcome: 'truncated' }, { checkText: true }).quality, 0)
+  assert.equal(gradeCase({}, answer, { checkText: true }).quality, null)
+})
+
+test('summarizeRun counts over-routing separately from quality', () => {
+  const summary = summarizeRun([result('a', 3, 1, 1), result('b', 2, 2, 1), result('c', 1, 2, 0)])
+  assert.equal(summary.quality, 2 / 3)
+  assert.equal(summary.underRouted, 1)
+  assert.equal(summary.aboveMinimum, 1)
+  assert.equal(summary.overRouting, 2 / 3)
+})
+
+test('compareWithBaseline flags quality drops beyond the tolerance', () => {
+  const baseline = toBaseline(runOf([result('a', 2, 2, 1), result('b', 3, 3, 1)]), { suite: 's', provider: 'mock' })
+  const after = runOf([result('a', 2, 2, 1), result('b', 2, 3, 0)])
+
+  const [comparison] = compareWithBaseline(after, baseline)
+  assert.equal(comparison.regressed, true)
+  assert.deepEqual(comparison.rerouted, [{ id: 'b', from: 3, to: 2 }])
+  assert.equal(compareWithBaseline(after, baseline, 0.5)[0].regressed, false)
+})
+
+test('compareWithBaseline flags over-routing growth even when quality holds', () => {
+  const baseline = toBaseline(runOf([result('a', 2, 2, 1), result('b', 3, 2, 1)]), { suite: 's', provider: 'mock' })
+
+  const moreCases = compareWithBaseline(runOf([result('a', 3, 2, 1), result('b', 3, 2, 1)]), baseline)[0]
+  assert.equal(moreCases.regressed, false)
+  assert.equal(moreCases.overRouted, true)
+
+  const moreTiers = compareWithBaseline(runOf([result('a', 2, 2, 1), result('b', 5, 2, 1)]), baseline)[0]
+  assert.equal(moreTiers.overRouted, true)
+
+  const same = compareWithBaseline(runOf([result('a', 2, 2, 1), result('b', 3, 2, 1)]), baseline)[0]
+  assert.equal(same.overRouted, false)
+})
+
+test('the CLI rejects unknown options and bad values with exit code 2', () => {
+  const unknown = runCli('--bogus')
+  assert.equal(unknown.status, 2)
+  assert.match(unknown.stderr, /Unknown option '--bogus'/)
+  assert.match(unknown.stderr, /Usage: npm run eval/)
+
+  const slider = runCli('--speed', '9')
+  assert.equal(slider.status, 2)
+  assert.match(slider.stderr, /--speed must be a whole number from 1 to 5/)
+
+  const tolerance = runCli('--tolerance', 'lots')
+  assert.equal(tolerance.status, 2)
+  assert.match(tolerance.stderr, /--tolerance must be a number, 0 or more/)
+
+  const help = runCli('--help')
+  assert.equal(help.status, 0)
+  assert.match(help.stdout, /--complexity N\|auto/)
+})
+
+test('the CLI infers complexity with --complexity auto and applies --tolerance to baselines', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'eval-'))
+  const suite = join(dir, 'suite.jsonl')
+  const baseline = join(dir, 'baseline.json')
+  writeFileSync(suite, [
+    '{"id": "greeting", "prompt": "Hi there!", "minTier": 1}',
+    '{"id": "proof", "prompt": "Prove that the square root of 2 is irrational, step by step.", "minTier": 4}'
+  ].join('\n'))
+
+  const auto = JSON.parse(runCli('--suite', suite, '--complexity', 'auto', '--json').stdout)
+  assert.equal(auto.settings.complexity, null)
+  const [greeting, proof] = auto.runs[0].results
+  assert.ok(proof.tier > greeting.tier, 'a proof should route above a greeting')
+
+  // Pinned, both cases get the same complexity and so the same tier
+  const pinned = JSON.parse(runCli('--suite', suite, '--complexity', '1', '--json').stdout)
+  assert.equal(pinned.settings.complexity, 1)
+  assert.equal(new Set(pinned.runs[0].results.map(r => r.tier)).size, 1)
+
+  // A baseline from the auto run; pinning complexity to 1 then loses quality
+  assert.equal(runCli('--suite', suite, '--save-baseline', baseline).status, 0)
+  assert.equal(runCli('--suite', suite, '--complexity', '1', '--baseline', baseline).status, 1)
+  assert.equal(runCli('--suite', suite, '--complexity', '1', '--baseline', baseline, '--tolerance', '1').status, 0)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { DEFAULT_POLICY, selectModel } from '../src/routing.js'
+import { mockProvider } from '../src/providers/mock.js'
+import { MODEL_TIERS } from '../src/models.js'
+import { parseSuite, runEvaluation, compareWithBaseline } from '../eval/evaluate.js'
+
+const SUITE_FILE = new URL('../eval/suites/default.jsonl', import.meta.url)
+const BASELINE_FILE = new URL('../eval/baselines/default.json', import.meta.url)
+
+/**
+ * The tier the slider rules hard-coded in selectModel picked before
+ * routing policies replaced them
+ */
+function originalTier(efficiency, speed, complexity) {
+  let tier = Math.ceil(complexity * 1.2)
+  if (efficiency >= 4 && complexity <= 2) tier = 1
+  else if (efficiency >= 4 && complexity <= 3) tier = Math.max(1, tier - 1)
+  else if (efficiency <= 2 && complexity >= 4) tier = Math.min(MODEL_TIERS.length, tier + 1)
+  if (speed >= 4 && complexity <= 3) tier = Math.min(tier, 3)
+  if (speed >= 4 && complexity >= 4) tier = 4
+  return Math.max(1, Math.min(MODEL_TIERS.length, tier))
+}
+
+test('the default policy routes every slider combination like the original selectModel', () => {
+  for (let efficiency = 1; efficiency <= 5; efficiency++) {
+    for (let speed = 1; speed <= 5; speed++) {
+      for (let complexity = 1; complexity <= 5; complexity++) {
+        const { tier } = selectModel(DEFAULT_POLICY, { efficiency, speed, complexity, budgetUsed: 0 }).model
+        assert.equal(tier, originalTier(efficiency, speed, complexity),
+          `efficiency ${efficiency}, speed ${speed}, complexity ${complexity}`)
+      }
+    }
+  }
+})
+
+// After an intended routing change, review `npm run eval` and refresh the
+// baseline: npm run eval -- --save-baseline eval/baselines/default.json
+test('the default suite keeps its quality and over-routing against the committed baseline', async () => {
+  const cases = parseSuite(readFileSync(SUITE_FILE, 'utf8'))
+  const baseline = JSON.parse(readFileSync(BASELINE_FILE, 'utf8'))
+  const runs = await runEvaluation(cases, [DEFAULT_POLICY], mockProvider)
+  const [comparison] = compareWithBaseline(runs, baseline)
+
+  assert.ok(comparison, `no "${DEFAULT_POLICY.name}" policy in the baseline`)
+  assert.equal(comparison.regressed, false,
+    `quality fell from ${comparison.quality.before} to ${comparison.quality.after}`)
+  assert.equal(comparison.overRouted, false,
+    `over-routing grew from ${comparison.overRouting.before} to ${comparison.overRouting.after}`)
+})
@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EMPTY_SESSION_STATS, addQueryStats, addCacheHitStats } from '../src/sessionStats.js'
+
+const QUERY = {
+  cost: 0.002, energyWh: 0.1, comparisonCost: 0.01, comparisonEnergyWh: 0.5, escalations: 0, escalationCost: 0
+}
+
+test('a live query after a cache hit keeps the cache totals', () => {
+  const afterHit = addCacheHitStats(EMPTY_SESSION_STATS, { cost: 0.003, energyWh: 0.2 })
+  const stats = addQueryStats(afterHit, QUERY)
+
+  assert.equal(stats.cacheHits, 1)
+  assert.equal(stats.cacheSavedCost, 0.003)
+  assert.equal(stats.cacheSavedEnergyWh, 0.2)
+  assert.equal(stats.queryCount, 1)
+  assert.equal(stats.cost, 0.002)
+})
+
+test('a retry is billed but not counted as another query', () => {
+  const stats = addQueryStats(addQueryStats(EMPTY_SESSION_STATS, QUERY), { ...QUERY, isRetry: true })
+
+  assert.equal(stats.queryCount, 1)
+  assert.equal(stats.comparisonCost, 0.01)
+  assert.equal(stats.cost, 0.004)
+})
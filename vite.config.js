@@ -1,7 +1,29 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createProxyMiddleware, proxyOptionsFromEnv } from './server/proxy.js'
+
+/**
+ * Mounts the /api/chat proxy on the dev and preview servers so the API key
+ * stays server-side in every mode. The '' prefix loads OPENAI_API_KEY
+ * without exposing it to client code (only VITE_* vars are bundled).
+ */
+function apiProxy(env) {
+  const proxy = createProxyMiddleware(proxyOptionsFromEnv(env))
+  return {
+    name: 'low-energy-ai-api-proxy',
+    configureServer(server) {
+      server.middlewares.use(proxy)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(proxy)
+    }
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), '') }
+  return {
+    plugins: [react(), apiProxy(env)],
+  }
 })